@@ -9,6 +9,7 @@
 const { fork } = require('child_process');
 const { EventEmitter } = require('events');
 const path = require('path');
+const logger = require('./lib/Logger').getLogger('ProcessManager');
 
 class ProcessManager extends EventEmitter {
     constructor() {
@@ -42,30 +43,30 @@ class ProcessManager extends EventEmitter {
                 env: { ...process.env, ...envVars }
             };
 
-            console.log(`Forking process: ${scriptPath} with env keys: ${Object.keys(envVars).join(', ')}`);
+            logger.info(`Forking process: ${scriptPath} with env keys: ${Object.keys(envVars).join(', ')}`);
             const childProcess = fork(scriptPath, [], forkOptions);
             let isReady = false;
 
             // Setup logging
             if (childProcess.stdout) {
                 childProcess.stdout.on('data', (data) => {
-                    console.log(`[${processId} PID:${childProcess.pid} STDOUT]: ${data.toString().trim()}`);
+                    this._forwardOutput(processId, childProcess.pid, 'stdout', data);
                 });
             } else {
-                console.warn(`[${processId} PID:${childProcess.pid}] Forked process object is missing stdout stream!`);
+                logger.warn(`[${processId} PID:${childProcess.pid}] Forked process object is missing stdout stream!`);
             }
 
             if (childProcess.stderr) {
                 childProcess.stderr.on('data', (data) => {
-                    console.error(`[${processId} PID:${childProcess.pid} STDERR]: ${data.toString().trim()}`);
+                    this._forwardOutput(processId, childProcess.pid, 'stderr', data);
                 });
             } else {
-                console.warn(`[${processId} PID:${childProcess.pid}] Forked process object is missing stderr stream!`);
+                logger.warn(`[${processId} PID:${childProcess.pid}] Forked process object is missing stderr stream!`);
             }
 
             const readyTimeout = setTimeout(() => {
                 if (!isReady && childProcess && !childProcess.killed) {
-                    console.error(`Timeout waiting for new process ${processId} (PID: ${childProcess.pid}) to become ready. Killing process.`);
+                    logger.error(`Timeout waiting for new process ${processId} (PID: ${childProcess.pid}) to become ready. Killing process.`);
                     childProcess.kill('SIGTERM');
                 }
                 reject(new Error(`Timeout waiting for process ${processId} to become ready.`));
@@ -77,7 +78,7 @@ class ProcessManager extends EventEmitter {
                 if (message.type === 'ready') {
                     cleanupTimeout();
                     isReady = true;
-                    console.log(`Process ${processId} (PID: ${childProcess.pid}) reported ready at ${message.url}`);
+                    logger.info(`Process ${processId} (PID: ${childProcess.pid}) reported ready at ${message.url}`);
 
                     const processInfo = {
                         process: childProcess,
@@ -98,7 +99,7 @@ class ProcessManager extends EventEmitter {
                     resolve(processInfo);
                 } else if (message.type === 'error') {
                     cleanupTimeout();
-                    console.error(`Process ${processId} (PID: ${childProcess.pid}) reported an error during startup:`, message.error);
+                    logger.error(`Process ${processId} (PID: ${childProcess.pid}) reported an error during startup:`, message.error);
                     if (childProcess && !childProcess.killed) {
                         childProcess.kill();
                     }
@@ -108,7 +109,7 @@ class ProcessManager extends EventEmitter {
 
             childProcess.on('error', (err) => {
                 cleanupTimeout();
-                console.error(`Error spawning or communicating with process ${processId} (PID: ${childProcess.pid || 'N/A'}):`, err);
+                logger.error(`Error spawning or communicating with process ${processId} (PID: ${childProcess.pid || 'N/A'}):`, err);
                 if (childProcess && !childProcess.killed) {
                     childProcess.kill();
                 }
@@ -118,12 +119,12 @@ class ProcessManager extends EventEmitter {
             childProcess.on('exit', (code, signal) => {
                 cleanupTimeout();
                 if (!isReady) {
-                    console.error(`Child process ${processId} (PID: ${childProcess.pid || 'N/A'}) exited prematurely with code ${code}, signal ${signal}.`);
+                    logger.error(`Child process ${processId} (PID: ${childProcess.pid || 'N/A'}) exited prematurely with code ${code}, signal ${signal}.`);
                     reject(new Error(`Child process ${processId} exited prematurely with code ${code}, signal ${signal}.`));
                 }
             });
 
-            console.log(`Sending 'start' command to process ${processId} (PID: ${childProcess.pid})`);
+            logger.info(`Sending 'start' command to process ${processId} (PID: ${childProcess.pid})`);
             childProcess.send({ type: 'start', config });
         });
     }
@@ -137,7 +138,7 @@ class ProcessManager extends EventEmitter {
      * @private
      */
     async _loadEnvironmentFromSecrets(processId, storagePath) {
-        console.log(`Loading environment variables from secrets for ${processId}`);
+        logger.info(`Loading environment variables from secrets for ${processId}`);
         let envVars = {};
 
         try {
@@ -147,18 +148,18 @@ class ProcessManager extends EventEmitter {
             let secretsEnv = await secretsService.getSecretsAsync(processId);
 
             if (!secretsEnv && processId !== 'env') {
-                console.log(`No env vars found for ID ${processId}, trying generic 'env' key.`);
+                logger.info(`No env vars found for ID ${processId}, trying generic 'env' key.`);
                 secretsEnv = await secretsService.getSecretsAsync('env');
             }
 
             if (typeof secretsEnv === 'object' && secretsEnv !== null) {
                 envVars = secretsEnv;
-                console.log(`Loaded environment variables from secrets service for ${processId}.`);
+                logger.info(`Loaded environment variables from secrets service for ${processId}.`);
             } else {
-                console.log(`Environment variables from secrets service for ${processId} were not an object, using empty env.`);
+                logger.info(`Environment variables from secrets service for ${processId} were not an object, using empty env.`);
             }
         } catch (err) {
-            console.log(`No environment variables found in secrets service for ${processId}, continuing with empty env:`, err.message);
+            logger.info(`No environment variables found in secrets service for ${processId}, continuing with empty env:`, err.message);
         }
 
         return envVars;
@@ -186,9 +187,9 @@ class ProcessManager extends EventEmitter {
 
         if (config.env && typeof config.env === 'object') {
             initialEnv = { ...config.env };
-            console.log(`Using provided environment variables for process ${serverId}.`);
+            logger.info(`Using provided environment variables for process ${serverId}.`);
         } else {
-            console.log(`No env vars in config for ${serverId}, trying secrets service.`);
+            logger.info(`No env vars in config for ${serverId}, trying secrets service.`);
             initialEnv = await this._loadEnvironmentFromSecrets(serverId, config.storage);
         }
 
@@ -233,13 +234,13 @@ class ProcessManager extends EventEmitter {
         const { process: childProcess } = processInfo;
 
         childProcess.on('exit', (code, signal) => {
-            console.warn(`Registered process ${processId} (PID: ${childProcess.pid || 'N/A'}) exited with code ${code}, signal ${signal}. Removing registration.`);
+            logger.warn(`Registered process ${processId} (PID: ${childProcess.pid || 'N/A'}) exited with code ${code}, signal ${signal}. Removing registration.`);
             this.emit('processUnregistered', processId);
             this.processes.delete(processId);
         });
 
         childProcess.on('error', (err) => {
-            console.error(`Error from registered process ${processId} (PID: ${childProcess.pid || 'N/A'}):`, err);
+            logger.error(`Error from registered process ${processId} (PID: ${childProcess.pid || 'N/A'}):`, err);
             this.emit('processUnregistered', processId);
             this.processes.delete(processId);
         });
@@ -249,7 +250,7 @@ class ProcessManager extends EventEmitter {
      * Attempts to restart a process with updated environment variables
      * 
      * @param {string} processId - Identifier of the process to restart
-     * @param {Object} envVars - New environment variables
+     * @param {Object} envVars - New environment variables, the ones of config.env or the secrets service when empty
      * @returns {Promise<Object>} - A promise that resolves with information about the new process
      */
     async restartProcess(processId, envVars = {}) {
@@ -266,15 +267,19 @@ class ProcessManager extends EventEmitter {
 
         const { config, scriptPath } = processInfo;
 
-        if (Object.keys(envVars).length === 0 && config.storage) {
-            envVars = await this._loadEnvironmentFromSecrets(processId, config.storage);
+        if (Object.keys(envVars).length === 0) {
+            if (config.env && typeof config.env === 'object') {
+                envVars = { ...config.env };
+            } else if (config.storage) {
+                envVars = await this._loadEnvironmentFromSecrets(processId, config.storage);
+            }
         }
 
-        console.log(`Stopping old process ${processId} (PID: ${processInfo.process.pid}) before restart.`);
+        logger.info(`Stopping old process ${processId} (PID: ${processInfo.process.pid}) before restart.`);
         if (processInfo.process && !processInfo.process.killed) {
             const shutdownPromise = new Promise((resolve) => {
                 const forceKillTimeout = setTimeout(() => {
-                    console.warn(`Force killing process ${processId} (PID: ${processInfo.process.pid}) after waiting for shutdown`);
+                    logger.warn(`Force killing process ${processId} (PID: ${processInfo.process.pid}) after waiting for shutdown`);
                     if (!processInfo.process.killed) {
                         processInfo.process.kill('SIGKILL'); // Force kill with SIGKILL
                     }
@@ -282,7 +287,7 @@ class ProcessManager extends EventEmitter {
 
                 processInfo.process.once('exit', (code, signal) => {
                     clearTimeout(forceKillTimeout);
-                    console.log(`Process ${processId} (PID: ${processInfo.process.pid}) exited with code ${code}, signal ${signal}`);
+                    logger.info(`Process ${processId} (PID: ${processInfo.process.pid}) exited with code ${code}, signal ${signal}`);
                     resolve();
                 });
 
@@ -290,14 +295,14 @@ class ProcessManager extends EventEmitter {
 
                 processInfo.process.once('error', (err) => {
                     clearTimeout(forceKillTimeout);
-                    console.error(`Error during shutdown of process ${processId}:`, err);
+                    logger.error(`Error during shutdown of process ${processId}:`, err);
                     resolve();
                 });
 
                 try {
                     processInfo.process.send({ type: 'shutdown' });
                 } catch (err) {
-                    console.warn(`Could not send shutdown message to process ${processId}, killing directly:`, err.message);
+                    logger.warn(`Could not send shutdown message to process ${processId}, killing directly:`, err.message);
                     if (!processInfo.process.killed) {
                         processInfo.process.kill('SIGTERM');
                     }
@@ -305,13 +310,13 @@ class ProcessManager extends EventEmitter {
             });
 
             await shutdownPromise;
-            console.log(`Process ${processId} shutdown confirmed`);
+            logger.info(`Process ${processId} shutdown confirmed`);
         }
 
         this.emit('processUnregistered', processId);
         this.processes.delete(processId);
 
-        console.log(`Attempting to fork new process ${processId} with updated environment.`);
+        logger.info(`Attempting to fork new process ${processId} with updated environment.`);
 
         try {
             const newProcessInfo = await this.forkProcess(scriptPath, config, envVars);
@@ -325,6 +330,182 @@ class ProcessManager extends EventEmitter {
         }
     }
 
+    /**
+     * Updates the environment variables of a running process in place. The child reloads its plugins
+     * with the new environment instead of being killed and forked again, so it keeps its port and URL.
+     * 
+     * @param {string} processId - Identifier of the process to update
+     * @param {Object} envVars - New environment variables
+     * @param {number} [timeout=60000] - How long to wait for the child to finish reloading, in milliseconds
+     * @returns {Promise<Object>} - A promise that resolves with information about the process
+     */
+    async updateProcessEnv(processId, envVars = {}, timeout = 60000) {
+        const processInfo = this.processes.get(processId);
+
+        if (!processInfo) {
+            throw new Error(`No process found with ID ${processId}`);
+        }
+
+        if (Object.keys(envVars).length === 0 && processInfo.config.storage) {
+            envVars = await this._loadEnvironmentFromSecrets(processId, processInfo.config.storage);
+        }
+
+        this.restartingProcesses.add(processId);
+        this.emit('processRestarting', processId);
+
+        try {
+            logger.info(`Updating environment of process ${processId} (PID: ${processInfo.process.pid}) with env keys: ${Object.keys(envVars).join(', ')}`);
+            await this._sendRequest(processId, { type: 'updateEnv', envVars }, timeout);
+            logger.info(`Process ${processId} reloaded its plugins with the updated environment`);
+            // The child merges the variables into its environment, keep them for the next restart too
+            processInfo.config.env = { ...(processInfo.config.env || {}), ...envVars };
+            this.emit('processEnvUpdated', processId, processInfo);
+            return processInfo;
+        } finally {
+            this.restartingProcesses.delete(processId);
+        }
+    }
+
+    /**
+     * Probes a managed process for the same health data its readiness route reports
+     * 
+     * @param {string} processId - Identifier of the process
+     * @param {number} [timeout=10000] - How long to wait for the answer, in milliseconds
+     * @returns {Promise<Object>} - A promise that resolves with {ready, initialized, restarting, timestamp, plugins},
+     * or with {ready: false, error} when the process cannot be reached
+     */
+    async checkProcessHealth(processId, timeout = 10000) {
+        try {
+            const reply = await this._sendRequest(processId, { type: 'healthCheck' }, timeout);
+            return reply.health;
+        } catch (err) {
+            logger.warn(`Health check of process ${processId} failed:`, err.message);
+            return { ready: false, error: err.message, timestamp: Date.now() };
+        }
+    }
+
+    /**
+     * Collects the metrics of every managed process and aggregates them, each sample labelled with its process id.
+     * Processes that do not answer in time are left out and counted in serverless_metrics_collection_failures.
+     *
+     * @param {number} [timeout=10000] - How long to wait for each process, in milliseconds
+     * @returns {Promise<string>} - A promise that resolves with the aggregated metrics in the Prometheus text format
+     */
+    async collectMetrics(timeout = 10000) {
+        const Metrics = require('./lib/Metrics');
+        const snapshots = {};
+        const failures = [];
+        await Promise.all([...this.processes.keys()].map(async (processId) => {
+            try {
+                const reply = await this._sendRequest(processId, { type: 'metrics' }, timeout);
+                snapshots[processId] = reply.metrics;
+            } catch (err) {
+                logger.warn(`Collecting metrics of process ${processId} failed:`, err.message);
+                failures.push(processId);
+            }
+        }));
+
+        const families = Metrics.mergeSnapshots(snapshots);
+        families.push({
+            name: 'serverless_metrics_collection_failures',
+            help: 'Processes whose metrics could not be collected',
+            type: 'gauge',
+            samples: [{ name: 'serverless_metrics_collection_failures', labels: {}, value: failures.length }]
+        });
+        return Metrics.render(families);
+    }
+
+    /**
+     * Forwards the output of a child process to the logger. JSON records written by the child logger keep their
+     * level, module and correlation id; other lines are logged as they are.
+     *
+     * @param {string} processId - Identifier of the process
+     * @param {number} pid - PID of the child process
+     * @param {string} stream - "stdout" or "stderr"
+     * @param {Buffer} data - Chunk of output
+     * @private
+     */
+    _forwardOutput(processId, pid, stream, data) {
+        const childLogger = logger.child({ processId, pid });
+        data.toString().split('\n').filter(line => line.trim()).forEach(line => {
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (e) {
+                // Not a log record, e.g. output of a plugin using console.log
+            }
+            if (record && typeof record === 'object' && typeof record.level === 'string' && typeof record.msg === 'string') {
+                // The time of the child is replaced by the time the record is logged again
+                const { time, level, msg, ...fields } = record;
+                childLogger.log(level, msg, fields);
+            } else {
+                childLogger.log(stream === 'stderr' ? 'error' : 'info', line, { stream });
+            }
+        });
+    }
+
+    /**
+     * Sends a request to a managed process and waits for its reply. The child answers with
+     * `${message.type}Completed` or `${message.type}Error`, echoing the requestId of the request.
+     * 
+     * @param {string} processId - Identifier of the process
+     * @param {Object} message - Message to send, must have a type
+     * @param {number} timeout - How long to wait for the reply, in milliseconds
+     * @returns {Promise<Object>} - A promise that resolves with the reply message
+     * @private
+     */
+    _sendRequest(processId, message, timeout) {
+        return new Promise((resolve, reject) => {
+            const processInfo = this.processes.get(processId);
+            if (!processInfo || !processInfo.process || processInfo.process.killed) {
+                reject(new Error(`No running process found with ID ${processId}`));
+                return;
+            }
+
+            const childProcess = processInfo.process;
+            const requestId = require('crypto').randomUUID();
+
+            const onMessage = (reply) => {
+                if (!reply || reply.requestId !== requestId) {
+                    return;
+                }
+                if (reply.type === `${message.type}Completed`) {
+                    cleanup();
+                    resolve(reply);
+                } else if (reply.type === `${message.type}Error`) {
+                    cleanup();
+                    reject(new Error(reply.error));
+                }
+            };
+
+            const onExit = (code, signal) => {
+                cleanup();
+                reject(new Error(`Process ${processId} exited with code ${code}, signal ${signal} before answering ${message.type}`));
+            };
+
+            const timeoutId = setTimeout(() => {
+                cleanup();
+                reject(new Error(`Timeout waiting for process ${processId} to answer ${message.type}`));
+            }, timeout);
+
+            const cleanup = () => {
+                clearTimeout(timeoutId);
+                childProcess.removeListener('message', onMessage);
+                childProcess.removeListener('exit', onExit);
+            };
+
+            childProcess.on('message', onMessage);
+            childProcess.once('exit', onExit);
+
+            try {
+                childProcess.send({ ...message, requestId });
+            } catch (err) {
+                cleanup();
+                reject(err);
+            }
+        });
+    }
+
     /**
      * Gets information about a managed process
      * 
@@ -360,7 +541,7 @@ class ProcessManager extends EventEmitter {
         const shutdownPromises = [];
 
         for (const [processId, processInfo] of this.processes.entries()) {
-            console.log(`Shutting down process ${processId}`);
+            logger.info(`Shutting down process ${processId}`);
             const shutdownPromise = new Promise((resolve) => {
                 if (!processInfo.process || processInfo.process.killed) {
                     resolve();
@@ -370,7 +551,7 @@ class ProcessManager extends EventEmitter {
                 processInfo.process.send({ type: 'shutdown' });
 
                 const timeoutId = setTimeout(() => {
-                    console.warn(`Process ${processId} didn't exit gracefully, forcing termination`);
+                    logger.warn(`Process ${processId} didn't exit gracefully, forcing termination`);
                     if (!processInfo.process.killed) {
                         processInfo.process.kill('SIGTERM');
                     }
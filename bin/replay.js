@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Replay commands recorded by a ServerlessAPI started with "recordTraffic" against the plugins of a storage folder
+ * and report the responses that differ from the recorded ones.
+ *
+ * Usage: node bin/replay.js <storageFolder> <recordedFile> [--json]
+ * Exits with 0 when every response matches, 1 when some differ and 2 on usage or initialization errors.
+ */
+
+const path = require('path');
+const PluginManager = require('../lib/PluginManager');
+const TrafficRecorder = require('../lib/TrafficRecorder');
+const Logger = require('../lib/Logger');
+
+const printReport = (report) => {
+    report.differences.forEach(difference => {
+        const { pluginName, name } = difference.command;
+        console.log(`Line ${difference.line}: ${pluginName}.${name}`);
+        console.log(`  expected: ${JSON.stringify(difference.expected)}`);
+        console.log(`  actual:   ${JSON.stringify(difference.actual)}`);
+    });
+    if (report.invalidLines.length > 0) {
+        console.log(`Skipped invalid lines: ${report.invalidLines.join(', ')}`);
+    }
+    console.log(`${report.matched} of ${report.total} responses matched, ${report.differences.length} differed`);
+}
+
+const main = async () => {
+    const args = process.argv.slice(2);
+    const json = args.includes('--json');
+    const [storage, recordedFile] = args.filter(arg => arg !== '--json');
+    if (!storage || !recordedFile) {
+        console.error('Usage: node bin/replay.js <storageFolder> <recordedFile> [--json]');
+        return 2;
+    }
+
+    if (json) {
+        // Keep stdout for the report: warnings and errors go to stderr, plugins using console.log are redirected there
+        Logger.setLevel('warn');
+        console.log = console.error;
+    }
+
+    const pluginManager = new PluginManager(path.resolve(storage));
+    try {
+        await pluginManager.init();
+    } catch (error) {
+        console.error(`Could not initialize the plugins of ${storage}: ${error.message}`);
+        return 2;
+    }
+
+    const report = await TrafficRecorder.replay(pluginManager, path.resolve(recordedFile));
+    if (json) {
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    } else {
+        printReport(report);
+    }
+    return report.differences.length > 0 ? 1 : 0;
+}
+
+main().then(code => {
+    process.exit(code);
+}, error => {
+    console.error(error);
+    process.exit(2);
+});
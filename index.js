@@ -1,3 +1,7 @@
+const logger = require("./lib/Logger").getLogger("ServerlessAPI");
+const CommandContext = require("./lib/CommandContext");
+const errors = require("./lib/errors");
+
 // Process environment variables from parent process if available
 process.on('message', (message) => {
     if (message.type === 'start') {
@@ -6,11 +10,32 @@ process.on('message', (message) => {
     } else if (message.type === 'shutdown') {
         // Gracefully shut down the server
         shutdown();
+    } else if (message.type === 'restartPlugin') {
+        // Restart a single plugin (and its dependents) without forking a new process
+        handleRequest(message, async (pluginManager) => {
+            const restarted = await pluginManager.restartPlugin(message.pluginName, { cascade: message.cascade !== false });
+            return { pluginName: message.pluginName, restarted };
+        });
+    } else if (message.type === 'healthCheck') {
+        // Let the parent probe the same data the readiness route reports
+        handleRequest(message, async (pluginManager) => {
+            return { health: await pluginManager.checkHealth() };
+        });
+    } else if (message.type === 'metrics') {
+        // Let the parent aggregate the metrics of all its serverless processes
+        handleRequest(message, async () => {
+            return { metrics: require("./lib/Metrics").getInstance().snapshot() };
+        });
+    } else if (message.type === 'updateEnv') {
+        // Reload all plugins in place with the new environment, keeping the same port and URL
+        handleRequest(message, async (pluginManager) => {
+            await pluginManager.restart(message.envVars);
+        });
     }
 });
 
 process.on('uncaughtException', err => {
-    console.error('There was an uncaught error', err);
+    logger.error('There was an uncaught error', err);
     // Notify parent process of the error
     if (process.connected) {
         process.send({ type: 'error', error: err.message });
@@ -19,16 +44,25 @@ process.on('uncaughtException', err => {
 
 process.on('SIGTERM', (signal) => {
     process.shuttingDown = true;
-    console.info('Received signal:', signal, ". Activating the gracefulTerminationWatcher.");
+    logger.info('Received signal:', signal, ". Activating the gracefulTerminationWatcher.");
     shutdown();
 });
 
 let server = null;
 
-function shutdown() {
+async function shutdown() {
+    if (server && server.pluginManager) {
+        try {
+            await server.pluginManager.shutdown();
+        } catch (err) {
+            logger.error('Error shutting down the plugin manager:', err);
+        }
+    }
+    // The periodic export would lose the spans finished since the last one
+    await require("./lib/Tracer").shutdown();
     if (server) {
         server.close(() => {
-            console.info('Server has been gracefully shut down');
+            logger.info('Server has been gracefully shut down');
             process.exit(0);
         });
     } else {
@@ -36,13 +70,29 @@ function shutdown() {
     }
 }
 
+// Runs a request received over IPC and answers with `${type}Completed` or `${type}Error`, echoing the requestId
+async function handleRequest(message, handler) {
+    const { type, requestId } = message;
+    try {
+        if (!server || !server.pluginManager) {
+            throw new Error('Server is not started');
+        }
+        const result = await handler(server.pluginManager);
+        if (process.connected) {
+            process.send({ ...result, type: `${type}Completed`, requestId });
+        }
+    } catch (err) {
+        logger.error(`Error handling ${type} message:`, err);
+        if (process.connected) {
+            process.send({ type: `${type}Error`, requestId, error: err.message });
+        }
+    }
+}
+
 function ServerlessAPI(config) {
     let { storage, port, dynamicPort = true, host, urlPrefix } = config;
-    console.log("++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++")
-    console.log("SERVERLESS_ID before", process.env.SERVERLESS_ID)
+    logger.info(`Setting SERVERLESS_ID to ${config.urlPrefix}`, { previousServerlessId: process.env.SERVERLESS_ID });
     process.env.SERVERLESS_ID = config.urlPrefix;
-    console.log("SERVERLESS_ID after", process.env.SERVERLESS_ID)
-    console.log("++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++")
     // Validate that storage is defined
     if (!storage) {
         throw new Error("Storage path must be defined for ServerlessAPI initialization");
@@ -53,27 +103,77 @@ function ServerlessAPI(config) {
     const Server = httpWrapper.Server;
     const bodyReaderMiddleware = require("../http-wrapper/utils/middlewares").bodyReaderMiddleware;
     const PluginManager = require("./lib/PluginManager");
+    const ServiceDescriptor = require("./lib/ServiceDescriptor");
+    const Authenticator = require("./lib/Authenticator");
+    const TrafficRecorder = require("./lib/TrafficRecorder");
+
+    // Error responses only carry stack traces in development mode
+    const developmentMode = typeof config.developmentMode === "boolean"
+        ? config.developmentMode
+        : process.env.NODE_ENV === "development";
 
     // Create the plugin manager with storage path for plugin discovery
-    const pluginManager = new PluginManager(storage);
+    const pluginManager = new PluginManager(storage, {
+        watch: config.watchPlugins === true,
+        healthCheckTimeout: config.healthCheckTimeout,
+        drainTimeout: config.drainTimeout,
+        initConcurrency: config.initConcurrency,
+        disabledPlugins: config.disabledPlugins,
+        commandTimeout: config.commandTimeout,
+        maxBatchSize: config.maxBatchSize,
+        rateLimits: config.rateLimits,
+        audit: config.audit,
+        accessPolicy: config.accessPolicy,
+        developmentMode,
+        idempotency: config.idempotency,
+        cache: config.cache
+    });
 
     // Initialize plugin manager to discover and load plugins
     (async () => {
         try {
-            console.log(`Initializing PluginManager with storage path: ${storage}`);
+            logger.info(`Initializing PluginManager with storage path: ${storage}`);
             await pluginManager.init();
-            console.log('PluginManager initialization completed');
+            logger.info('PluginManager initialization completed');
         } catch (error) {
-            console.error('Error initializing PluginManager:', error);
+            logger.error('Error initializing PluginManager:', error);
         }
     })();
 
     const CHECK_FOR_RESTART_COMMAND_FILE_INTERVAL = 500;
     host = host || "127.0.0.1";
     port = port || 8082;
+    const adminToken = config.adminToken || process.env.SERVERLESS_ADMIN_TOKEN;
+    // Without an authentication config, forWhom and options.email are taken from the command body as sent
+    const authenticator = config.authentication ? new Authenticator(config.authentication) : null;
+    // Recorder mode: every executed command and its response go to a JSONL file that the replay tool can read.
+    // recordTraffic is the file or {file, redact}, the redaction rules of the audit log apply when redact is not set
+    const recordTrafficOptions = typeof config.recordTraffic === 'object' ? config.recordTraffic : { file: config.recordTraffic };
+    const trafficRecorder = recordTrafficOptions && recordTrafficOptions.file
+        ? new TrafficRecorder(require("path").resolve(storage, recordTrafficOptions.file), {
+            redact: recordTrafficOptions.redact || (config.audit && config.audit.redact)
+        })
+        : null;
+    // Spans of executeCommand, the allow check and the plugin method go to an OTLP JSON file and/or collector
+    if (config.tracing) {
+        require("./lib/Tracer").configure({
+            ...config.tracing,
+            file: config.tracing.file ? require("path").resolve(storage, config.tracing.file) : undefined
+        });
+    }
+    const recordTraffic = (command, response) => {
+        if (!trafficRecorder) {
+            return;
+        }
+        const result = response.result && typeof response.result === 'object' && response.statusCode !== 200
+            ? { ...response.result, stack: undefined }
+            : response.result;
+        trafficRecorder.record(command, { statusCode: response.statusCode, operationType: response.operationType, result });
+    }
 
     const server = new Server();
     server.config = config.serverConfig || config;
+    server.pluginManager = pluginManager;
     if (!config.storage) {
         config.storage = storage;
     }
@@ -85,11 +185,14 @@ function ServerlessAPI(config) {
     accessControlAllowHeaders.add("Access-Control-Allow-Origin");
     accessControlAllowHeaders.add("User-Agent");
     accessControlAllowHeaders.add("Authorization");
+    accessControlAllowHeaders.add("X-Correlation-Id");
+    accessControlAllowHeaders.add("traceparent");
+    accessControlAllowHeaders.add("Idempotency-Key");
 
     let listenCallback = (err) => {
         if (err) {
             if (dynamicPort && err.code === 'EADDRINUSE') {
-                console.debug("Failed to listen on port <" + port + ">", err);
+                logger.debug("Failed to listen on port <" + port + ">", err);
 
                 function getRandomPort() {
                     const min = 9000;
@@ -132,7 +235,7 @@ function ServerlessAPI(config) {
                 return;
             }
             // Only send non-port-related errors to parent
-            console.error(err);
+            logger.error(err);
             if (process.connected) {
                 process.send({ type: 'error', error: err.message || 'Failed to start server' });
             }
@@ -141,7 +244,7 @@ function ServerlessAPI(config) {
 
     function bindFinished(err) {
         if (err) {
-            console.error(err);
+            logger.error(err);
             // Notify parent process of the error
             if (process.connected) {
                 process.send({ type: 'error', error: err.message || 'Failed to bind server' });
@@ -149,7 +252,7 @@ function ServerlessAPI(config) {
             return;
         }
 
-        console.info(`LightDB server running at port: ${port}`);
+        logger.info(`LightDB server running at port: ${port}`);
         registerEndpoints();
 
         // Notify parent process that server is ready with the URL
@@ -158,12 +261,12 @@ function ServerlessAPI(config) {
             process.send({
                 type: 'ready', url: serverUrl, port: port
             });
-            console.info(`Server URL: ${serverUrl} sent to parent process`);
+            logger.info(`Server URL: ${serverUrl} sent to parent process`);
         }
     }
 
     function boot() {
-        console.debug(`Trying to listen on port ${port}`);
+        logger.debug(`Trying to listen on port ${port}`);
         server.listen(port, host, listenCallback);
     }
 
@@ -190,7 +293,7 @@ function ServerlessAPI(config) {
             if (process.shuttingDown) {
                 //uncaught exception was caught so server is shutting down gracefully and not accepting any requests
                 res.statusCode = 503;
-                console.log(0x02, `Rejecting ${req.url} with status code ${res.statusCode} because process is shutting down.`);
+                logger.info(`Rejecting ${req.url} with status code ${res.statusCode} because process is shutting down.`);
                 res.end();
                 return;
             }
@@ -206,6 +309,49 @@ function ServerlessAPI(config) {
             next();
         });
 
+        // Every request gets a correlation id, taken from the X-Correlation-Id header or generated, and echoed back
+        server.use(function (req, res, next) {
+            const incoming = req.headers['x-correlation-id'];
+            req.correlationId = typeof incoming === 'string' && /^[\w.:-]{1,128}$/.test(incoming)
+                ? incoming
+                : require('crypto').randomUUID();
+            res.setHeader('X-Correlation-Id', req.correlationId);
+            next();
+        });
+
+        // Runs a route handler with the correlation id and the W3C traceparent header of the request in the command
+        // context, so the PluginManager, the plugins and the responses they create log them and pass them on
+        const withCorrelationId = (handler) => {
+            return (req, res, next) => CommandContext.run({
+                correlationId: req.correlationId,
+                traceparent: req.headers.traceparent
+            }, () => handler(req, res, next));
+        }
+
+        // Answers a request with the status code of the error and the {message, code} result of lib/errors.js
+        const sendError = (res, error) => {
+            const resObj = { statusCode: errors.getStatusCode(error), result: errors.toErrorResult(error, developmentMode) };
+            res.statusCode = resObj.statusCode;
+            res.end(JSON.stringify(resObj));
+        }
+
+        // Admin routes require "Authorization: Bearer <adminToken>" and are disabled when no admin token is configured
+        const checkAdminAccess = (req, res) => {
+            if (!adminToken) {
+                sendError(res, new errors.ForbiddenError("Admin routes are disabled, no admin token is configured", { code: 'ADMIN_DISABLED' }));
+                return false;
+            }
+            const crypto = require('crypto');
+            const authorization = req.headers.authorization || "";
+            const expected = Buffer.from(`Bearer ${adminToken}`);
+            const received = Buffer.from(authorization);
+            if (received.length === expected.length && crypto.timingSafeEqual(received, expected)) {
+                return true;
+            }
+            sendError(res, new errors.ServerlessError("Invalid or missing admin token", { statusCode: 401, code: 'UNAUTHENTICATED' }));
+            return false;
+        }
+
         server.put(`${urlPrefix}/executeCommand`, bodyReaderMiddleware);
 
         const executeCommand = async (req, res) => {
@@ -214,71 +360,263 @@ function ServerlessAPI(config) {
             try {
                 command = JSON.parse(command);
             } catch (e) {
-                console.error("Invalid body", command);
-                res.statusCode = 400;
-                resObj.statusCode = 400;
-                resObj.result = "Invalid body";
-                return res.end(JSON.stringify(resObj));
+                logger.error("Invalid body for executeCommand");
+                return sendError(res, new errors.ValidationError("Invalid body", { code: 'INVALID_BODY' }));
             }
             try {
+                if (authenticator) {
+                    command = authenticator.applyIdentity(command, await authenticator.authenticate(req));
+                }
+                // The Idempotency-Key header is a shorthand for options.idempotencyKey, which wins when both are sent
+                const idempotencyKey = req.headers['idempotency-key'];
+                if (idempotencyKey && command && typeof command === 'object' && !(command.options && command.options.idempotencyKey)) {
+                    command = { ...command, options: { ...command.options, idempotencyKey } };
+                }
                 let pluginResult = await pluginManager.executeCommand(command);
                 resObj.statusCode = 200;
                 resObj.operationType = pluginResult.operationType;
                 resObj.result = pluginResult.result;
                 res.statusCode = 200;
             } catch (e) {
-                res.statusCode = 500;
-                resObj.statusCode = 500;
-                console.error(e);
-                resObj.result = {
-                    message: e.message,
-                    stack: e.stack
-                };
+                res.statusCode = errors.getStatusCode(e);
+                resObj.statusCode = res.statusCode;
+                logger.error(e);
+                if (e.retryAfter) {
+                    res.setHeader('Retry-After', e.retryAfter);
+                }
+                resObj.result = errors.toErrorResult(e, developmentMode);
             }
+            recordTraffic(command, resObj);
             res.end(JSON.stringify(resObj));
         }
 
-        server.put(`${urlPrefix}/executeCommand`, executeCommand);
+        server.put(`${urlPrefix}/executeCommand`, withCorrelationId(executeCommand));
 
-        server.get(`${urlPrefix}/ready`, async (req, res) => {
+        server.put(`${urlPrefix}/executeBatch`, bodyReaderMiddleware);
+
+        // Body is either an array of commands or {commands: [...], mode: "sequential" | "parallel"}
+        const executeBatch = async (req, res) => {
             let resObj = { statusCode: undefined, result: undefined };
-            let isInitialized = false;
+            let batch = req.body;
             try {
-                isInitialized = pluginManager.isInitialized();
-                if (isInitialized) {
-                    resObj.statusCode = 200;
-                    resObj.result = {
-                        status: 'ready',
-                        timestamp: Date.now()
-                    };
-                } else {
-                    resObj.statusCode = 200;
-                    resObj.result = 'not-ready';
+                batch = JSON.parse(batch);
+            } catch (e) {
+                logger.error("Invalid body for executeBatch");
+                return sendError(res, new errors.ValidationError("Invalid body", { code: 'INVALID_BODY' }));
+            }
+            if (Array.isArray(batch)) {
+                batch = { commands: batch };
+            }
+            if (!batch || !Array.isArray(batch.commands)) {
+                return sendError(res, new errors.ValidationError("Body must contain an array of commands", { code: 'INVALID_BATCH' }));
+            }
+            if (authenticator) {
+                try {
+                    const identity = await authenticator.authenticate(req);
+                    batch.commands = batch.commands.map(command => authenticator.applyIdentity(command, identity));
+                } catch (e) {
+                    res.statusCode = errors.getStatusCode(e);
+                    resObj.statusCode = res.statusCode;
+                    resObj.result = errors.toErrorResult(e, developmentMode);
+                    return res.end(JSON.stringify(resObj));
                 }
+            }
+            try {
+                resObj.result = await pluginManager.executeBatch(batch.commands, { mode: batch.mode });
+                resObj.result.forEach((envelope, index) => recordTraffic(batch.commands[index], envelope));
+                resObj.statusCode = 200;
+                res.statusCode = 200;
             } catch (e) {
-                console.error('Error checking if plugins are initialized:', e);
-                res.statusCode = 500;
-                resObj.statusCode = 500;
-                resObj.result = e.message;
+                res.statusCode = errors.getStatusCode(e);
+                resObj.statusCode = res.statusCode;
+                resObj.result = errors.toErrorResult(e, developmentMode);
             }
             res.end(JSON.stringify(resObj));
+        }
+
+        server.put(`${urlPrefix}/executeBatch`, withCorrelationId(executeBatch));
+
+        // Liveness only tells that the process answers requests
+        server.get(`${urlPrefix}/live`, async (req, res) => {
+            let resObj = {
+                statusCode: 200,
+                result: {
+                    status: 'alive',
+                    uptime: process.uptime(),
+                    timestamp: Date.now()
+                }
+            };
+            res.end(JSON.stringify(resObj));
+        });
+
+        // Readiness answers 503 until every discovered plugin is registered and passes its health check
+        server.get(`${urlPrefix}/ready`, async (req, res) => {
+            let resObj = { statusCode: undefined, result: undefined };
+            try {
+                const health = await pluginManager.checkHealth();
+                resObj.statusCode = health.ready ? 200 : 503;
+                resObj.result = {
+                    status: health.ready ? 'ready' : 'not-ready',
+                    ...health
+                };
+            } catch (e) {
+                logger.error('Error checking plugin health:', e);
+                resObj.statusCode = errors.getStatusCode(e);
+                resObj.result = errors.toErrorResult(e, developmentMode);
+            }
+            res.statusCode = resObj.statusCode;
+            res.end(JSON.stringify(resObj));
         });
 
         server.get(`${urlPrefix}/getPublicMethods/:pluginName`, async (req, res) => {
             let resObj = { statusCode: undefined, result: undefined };
             let pluginName = req.params.pluginName;
             if (!pluginName) {
-                resObj.statusCode = 400;
-                resObj.result = "Plugin name is required";
-                return res.end(JSON.stringify(resObj));
+                return sendError(res, new errors.ValidationError("Plugin name is required", { code: 'INVALID_PLUGIN_NAME' }));
             }
             try {
                 let publicMethods = pluginManager.getPublicMethods(pluginName);
+                res.statusCode = 200;
                 resObj.statusCode = 200;
                 resObj.result = publicMethods;
             } catch (error) {
-                resObj.statusCode = 404;
-                resObj.result = error.message;
+                res.statusCode = errors.getStatusCode(error);
+                resObj.statusCode = res.statusCode;
+                resObj.result = errors.toErrorResult(error, developmentMode);
+            }
+            res.end(JSON.stringify(resObj));
+        });
+
+        server.put(`${urlPrefix}/admin/restartPlugin/:pluginName`, bodyReaderMiddleware);
+
+        // Optional body: {cascade: false} to restart only the named plugin
+        server.put(`${urlPrefix}/admin/restartPlugin/:pluginName`, async (req, res) => {
+            if (!checkAdminAccess(req, res)) {
+                return;
+            }
+            let resObj = { statusCode: undefined, result: undefined };
+            let body = {};
+            try {
+                body = req.body ? JSON.parse(req.body) : {};
+            } catch (e) {
+                return sendError(res, new errors.ValidationError("Invalid body", { code: 'INVALID_BODY' }));
+            }
+            try {
+                const restarted = await pluginManager.restartPlugin(req.params.pluginName, { cascade: body.cascade !== false });
+                resObj.statusCode = 200;
+                resObj.result = { restarted };
+            } catch (e) {
+                logger.error(e);
+                res.statusCode = errors.getStatusCode(e);
+                resObj.statusCode = res.statusCode;
+                resObj.result = errors.toErrorResult(e, developmentMode);
+            }
+            res.end(JSON.stringify(resObj));
+        });
+
+        server.get(`${urlPrefix}/plugins`, async (req, res) => {
+            if (!checkAdminAccess(req, res)) {
+                return;
+            }
+            let resObj = { statusCode: undefined, result: undefined };
+            try {
+                resObj.statusCode = 200;
+                resObj.result = await pluginManager.listPlugins();
+            } catch (e) {
+                logger.error(e);
+                res.statusCode = errors.getStatusCode(e);
+                resObj.statusCode = res.statusCode;
+                resObj.result = errors.toErrorResult(e, developmentMode);
+            }
+            res.end(JSON.stringify(resObj));
+        });
+
+        server.get(`${urlPrefix}/plugins/:pluginName`, async (req, res) => {
+            if (!checkAdminAccess(req, res)) {
+                return;
+            }
+            let resObj = { statusCode: undefined, result: undefined };
+            try {
+                resObj.statusCode = 200;
+                resObj.result = await pluginManager.getPluginDetails(req.params.pluginName);
+            } catch (e) {
+                res.statusCode = errors.getStatusCode(e);
+                resObj.statusCode = res.statusCode;
+                resObj.result = errors.toErrorResult(e, developmentMode);
+            }
+            res.end(JSON.stringify(resObj));
+        });
+
+        // Query string: forWhom, pluginName and limit
+        server.get(`${urlPrefix}/admin/audit`, async (req, res) => {
+            if (!checkAdminAccess(req, res)) {
+                return;
+            }
+            let resObj = { statusCode: undefined, result: undefined };
+            const query = new URL(req.url, 'http://localhost').searchParams;
+            const limit = query.has('limit') ? parseInt(query.get('limit')) : undefined;
+            if (typeof limit !== 'undefined' && !(limit > 0)) {
+                return sendError(res, new errors.ValidationError("limit must be a positive integer", { code: 'INVALID_LIMIT' }));
+            }
+            try {
+                resObj.result = await pluginManager.queryAuditLog({
+                    forWhom: query.get('forWhom') || undefined,
+                    pluginName: query.get('pluginName') || undefined,
+                    limit
+                });
+                resObj.statusCode = 200;
+            } catch (e) {
+                res.statusCode = errors.getStatusCode(e);
+                resObj.statusCode = res.statusCode;
+                resObj.result = errors.toErrorResult(e, developmentMode);
+            }
+            res.end(JSON.stringify(resObj));
+        });
+
+        // Query string: forWhom, email, pluginName and name
+        server.get(`${urlPrefix}/explainAccess`, async (req, res) => {
+            if (!checkAdminAccess(req, res)) {
+                return;
+            }
+            let resObj = { statusCode: undefined, result: undefined };
+            const query = new URL(req.url, 'http://localhost').searchParams;
+            try {
+                resObj.result = await pluginManager.explainAccess({
+                    forWhom: query.get('forWhom') || undefined,
+                    email: query.get('email') || undefined,
+                    pluginName: query.get('pluginName') || undefined,
+                    name: query.get('name') || undefined
+                });
+                resObj.statusCode = 200;
+            } catch (e) {
+                res.statusCode = errors.getStatusCode(e);
+                resObj.statusCode = res.statusCode;
+                resObj.result = errors.toErrorResult(e, developmentMode);
+            }
+            res.end(JSON.stringify(resObj));
+        });
+
+        server.get(`${urlPrefix}/metrics`, async (req, res) => {
+            const Metrics = require("./lib/Metrics");
+            res.setHeader('Content-Type', Metrics.CONTENT_TYPE);
+            res.statusCode = 200;
+            res.end(Metrics.getInstance().render());
+        });
+
+        server.get(`${urlPrefix}/describe`, async (req, res) => {
+            let resObj = { statusCode: undefined, result: undefined };
+            try {
+                const service = await pluginManager.describe();
+                resObj.statusCode = 200;
+                resObj.result = {
+                    service,
+                    openapi: ServiceDescriptor.toOpenAPI(service, { urlPrefix })
+                };
+            } catch (error) {
+                logger.error('Error building service descriptor:', error);
+                res.statusCode = errors.getStatusCode(error);
+                resObj.statusCode = res.statusCode;
+                resObj.result = errors.toErrorResult(error, developmentMode);
             }
             res.end(JSON.stringify(resObj));
         });
@@ -0,0 +1,365 @@
+/**
+ * Declarative role based access control read from a policy file in JSON or in a YAML subset:
+ *
+ *   strategy: deny-overrides
+ *   roles:
+ *     reader:
+ *       allow: [accounts.get*, reports.*]
+ *       deny: [accounts.getSecrets]
+ *   users:
+ *     alice: [reader]
+ *     "*": [guest]
+ *
+ * Users get roles by forWhom or email, "*" gives roles to every caller. Patterns are "plugin.method" with "*" matching
+ * any characters; a matching deny rule wins over a matching allow rule. The strategy decides how the policy combines
+ * with the allow function of the plugin:
+ * - deny-overrides: the command runs when neither the policy nor the plugin denies it
+ * - permit-overrides: the command runs when the policy or the plugin allows it
+ * - policy-first: a matching rule decides, the plugin decides the commands no rule matches
+ * - policy-only: only the policy decides, the plugin allow function is not called
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./Logger').getLogger('AccessPolicy');
+
+const STRATEGIES = ['deny-overrides', 'permit-overrides', 'policy-first', 'policy-only'];
+const DEFAULT_STRATEGY = 'deny-overrides';
+const DEFAULT_WATCH_INTERVAL = 1000;
+const EVERYONE = '*';
+
+const parseScalar = (text) => {
+    const value = text.trim();
+    if (value.startsWith('[') && value.endsWith(']')) {
+        const inner = value.slice(1, -1).trim();
+        return inner ? inner.split(',').map(parseScalar) : [];
+    }
+    if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+        return value.slice(1, -1);
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (value === 'null' || value === '~' || value === '') {
+        return null;
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    return value;
+}
+
+const stripComment = (line) => {
+    let quote = null;
+    for (let index = 0; index < line.length; index++) {
+        const char = line[index];
+        if (quote) {
+            quote = char === quote ? null : quote;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#' && (index === 0 || /\s/.test(line[index - 1]))) {
+            return line.slice(0, index);
+        }
+    }
+    return line;
+}
+
+// Split "key: value" on the first colon outside quotes that ends the line or is followed by a space
+const splitKey = (text) => {
+    let quote = null;
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quote) {
+            quote = char === quote ? null : quote;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === ':' && (index === text.length - 1 || text[index + 1] === ' ')) {
+            return { key: parseScalar(text.slice(0, index)), value: text.slice(index + 1).trim() };
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse the YAML subset used by policy files: nested mappings, "- " lists, flow lists like [a, b], quoted and plain
+ * scalars and comments. Anchors, multi-line strings and flow mappings are not supported.
+ * @param {string} text
+ * @returns {*}
+ */
+const parseYaml = (text) => {
+    const lines = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const line = stripComment(raw).replace(/\s+$/, '');
+        if (line.trim() && line.trim() !== '---') {
+            lines.push({ indent: line.length - line.trimStart().length, text: line.trim(), number: index + 1 });
+        }
+    });
+    let position = 0;
+
+    const parseBlock = (indent) => {
+        const isList = lines[position].text === '-' || lines[position].text.startsWith('- ');
+        const block = isList ? [] : {};
+        while (position < lines.length && lines[position].indent === indent) {
+            const line = lines[position];
+            if (isList) {
+                if (!(line.text === '-' || line.text.startsWith('- '))) {
+                    throw new Error(`Line ${line.number}: expected a list item`);
+                }
+                position++;
+                const item = line.text.slice(1).trim();
+                block.push(item ? parseScalar(item) : parseNested(indent));
+                continue;
+            }
+            const entry = splitKey(line.text);
+            if (!entry) {
+                throw new Error(`Line ${line.number}: expected "key: value"`);
+            }
+            position++;
+            block[entry.key] = entry.value ? parseScalar(entry.value) : parseNested(indent);
+        }
+        if (position < lines.length && lines[position].indent > indent) {
+            throw new Error(`Line ${lines[position].number}: unexpected indentation`);
+        }
+        return block;
+    }
+
+    const parseNested = (parentIndent) => {
+        if (position < lines.length && lines[position].indent > parentIndent) {
+            return parseBlock(lines[position].indent);
+        }
+        return null;
+    }
+
+    return lines.length === 0 ? {} : parseBlock(lines[0].indent);
+}
+
+const toList = (value, field) => {
+    if (value === null || typeof value === 'undefined') {
+        return [];
+    }
+    const list = Array.isArray(value) ? value : [value];
+    if (list.some(item => typeof item !== 'string' || !item)) {
+        throw new Error(`${field} must be a list of non-empty strings`);
+    }
+    return list;
+}
+
+const compilePattern = (pattern) => {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check and normalize a parsed policy document
+ * @param {Object} document - Parsed policy file
+ * @returns {Object} - {strategy, roles: {role: {allow, deny}}, users: {forWhomOrEmail: [role]}}
+ */
+const normalizePolicy = (document) => {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw new Error('The policy must be an object');
+    }
+    if (document.strategy && !STRATEGIES.includes(document.strategy)) {
+        throw new Error(`Unknown strategy ${document.strategy}, expected one of ${STRATEGIES.join(', ')}`);
+    }
+    // No prototype, so role and user names like "constructor" cannot match inherited properties
+    const roles = Object.create(null);
+    Object.keys(document.roles || {}).forEach(role => {
+        const rules = document.roles[role] || {};
+        roles[role] = {
+            allow: toList(rules.allow, `roles.${role}.allow`).map(pattern => ({ pattern, regex: compilePattern(pattern) })),
+            deny: toList(rules.deny, `roles.${role}.deny`).map(pattern => ({ pattern, regex: compilePattern(pattern) }))
+        };
+    });
+    const users = Object.create(null);
+    Object.keys(document.users || {}).forEach(user => {
+        users[user] = toList(document.users[user], `users.${user}`);
+        users[user].filter(role => !roles[role]).forEach(role => {
+            logger.warn(`Role ${role} given to ${user} is not defined in the policy`);
+        });
+    });
+    return { strategy: document.strategy, roles, users };
+}
+
+/**
+ * Parse a policy file content, as JSON when the file name ends in .json, as YAML otherwise
+ * @param {string} text - Content of the file
+ * @param {string} fileName - Name of the file
+ * @returns {Object} - Normalized policy
+ */
+const parsePolicy = (text, fileName) => {
+    const document = path.extname(fileName).toLowerCase() === '.json' ? JSON.parse(text) : parseYaml(text);
+    return normalizePolicy(document);
+}
+
+/**
+ * @param {string} [filePath] - Policy file, it does not have to exist. Without it no policy is ever loaded.
+ * @param {Object} [options]
+ * @param {string} [options.strategy="deny-overrides"] - Strategy used when the file does not set one
+ * @param {number} [options.watchInterval=1000] - Time between two checks of the file, in milliseconds
+ */
+function AccessPolicy(filePath, options = {}) {
+    if (options.strategy && !STRATEGIES.includes(options.strategy)) {
+        throw new Error(`Unknown strategy ${options.strategy}, expected one of ${STRATEGIES.join(', ')}`);
+    }
+    let policy = null;
+    let watching = false;
+
+    this.filePath = filePath;
+
+    /**
+     * Read the policy file. A missing file removes the policy, an invalid one is rejected and the previous policy kept.
+     * @returns {Promise<boolean>} - Whether a policy is in force
+     */
+    this.load = async () => {
+        if (!filePath) {
+            return false;
+        }
+        let text;
+        try {
+            text = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            if (policy) {
+                logger.warn(`Access policy ${filePath} was removed, only the plugin allow functions apply`);
+            }
+            policy = null;
+            return false;
+        }
+        try {
+            policy = parsePolicy(text, filePath);
+        } catch (error) {
+            throw new Error(`Invalid access policy ${filePath}: ${error.message}`);
+        }
+        logger.info(`Loaded access policy ${filePath} with ${Object.keys(policy.roles).length} roles`);
+        return true;
+    }
+
+    const onFileChange = async (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+            return;
+        }
+        try {
+            await this.load();
+        } catch (error) {
+            logger.error(`${error.message}, keeping the previous policy`);
+        }
+    }
+
+    /**
+     * Reload the policy whenever the file changes
+     */
+    this.watch = () => {
+        if (watching || !filePath) {
+            return;
+        }
+        watching = true;
+        fs.watchFile(filePath, { interval: options.watchInterval || DEFAULT_WATCH_INTERVAL, persistent: false }, onFileChange);
+    }
+
+    this.unwatch = () => {
+        if (watching) {
+            fs.unwatchFile(filePath, onFileChange);
+            watching = false;
+        }
+    }
+
+    this.isEnabled = () => {
+        return policy !== null;
+    }
+
+    this.getStrategy = () => {
+        return (policy && policy.strategy) || options.strategy || DEFAULT_STRATEGY;
+    }
+
+    /**
+     * Evaluate the policy rules for a command
+     * @param {Object} command - {forWhom, email, pluginName, name}
+     * @returns {Object} - {decision: "allow" | "deny" | "none", roles, matches: [{role, effect, pattern}]}
+     */
+    this.evaluate = ({ forWhom, email, pluginName, name }) => {
+        if (!policy) {
+            return { decision: 'none', roles: [], matches: [] };
+        }
+        const roles = [...new Set([forWhom, email, EVERYONE]
+            .filter(user => typeof user === 'string' && Object.prototype.hasOwnProperty.call(policy.users, user))
+            .reduce((all, user) => all.concat(policy.users[user]), []))];
+        const target = `${pluginName}.${name}`;
+        const matches = [];
+        roles.filter(role => policy.roles[role]).forEach(role => {
+            ['deny', 'allow'].forEach(effect => {
+                policy.roles[role][effect].filter(rule => rule.regex.test(target)).forEach(rule => {
+                    matches.push({ role, effect, pattern: rule.pattern });
+                });
+            });
+        });
+        let decision = 'none';
+        if (matches.some(match => match.effect === 'deny')) {
+            decision = 'deny';
+        } else if (matches.length > 0) {
+            decision = 'allow';
+        }
+        return { decision, roles, matches };
+    }
+
+    /**
+     * Decide whether a command may run, combining the policy with the allow function of the plugin
+     * @param {Object} command - {forWhom, email, pluginName, name}
+     * @param {Function} pluginAllow - Calls the allow function of the plugin, only when the strategy needs it
+     * @returns {Promise<Object>} - {allowed, strategy, reason, policy: {decision, roles, matches}, plugin: {called, allowed}}
+     */
+    this.decide = async (command, pluginAllow) => {
+        const strategy = this.getStrategy();
+        const evaluation = this.evaluate(command);
+        const target = `${command.pluginName}.${command.name}`;
+        const explanation = { allowed: false, strategy, reason: undefined, policy: evaluation, plugin: { called: false } };
+        const describeRule = (effect) => {
+            const match = evaluation.matches.find(candidate => candidate.effect === effect);
+            return `rule "${effect}: ${match.pattern}" of role ${match.role}`;
+        }
+        const askPlugin = async (reasonPrefix) => {
+            const allowed = (await pluginAllow()) !== false;
+            explanation.plugin = { called: true, allowed };
+            explanation.allowed = allowed;
+            explanation.reason = `${reasonPrefix}, the allow function of plugin ${command.pluginName} ${allowed ? 'allowed' : 'denied'} it`;
+            return explanation;
+        }
+
+        if (!policy) {
+            return await askPlugin('No access policy is loaded');
+        }
+        const noMatch = `No policy rule matches ${target} for roles [${evaluation.roles.join(', ')}]`;
+        switch (strategy) {
+            case 'policy-only':
+                explanation.allowed = evaluation.decision === 'allow';
+                explanation.reason = evaluation.decision === 'none' ? `${noMatch}, denied` : `${explanation.allowed ? 'Allowed' : 'Denied'} by ${describeRule(evaluation.decision)}`;
+                return explanation;
+            case 'policy-first':
+                if (evaluation.decision === 'none') {
+                    return await askPlugin(noMatch);
+                }
+                explanation.allowed = evaluation.decision === 'allow';
+                explanation.reason = `${explanation.allowed ? 'Allowed' : 'Denied'} by ${describeRule(evaluation.decision)}`;
+                return explanation;
+            case 'permit-overrides':
+                if (evaluation.decision === 'allow') {
+                    explanation.allowed = true;
+                    explanation.reason = `Allowed by ${describeRule('allow')}`;
+                    return explanation;
+                }
+                return await askPlugin(evaluation.decision === 'deny' ? `Matching ${describeRule('deny')}` : noMatch);
+            default:
+                if (evaluation.decision === 'deny') {
+                    explanation.reason = `Denied by ${describeRule('deny')}`;
+                    return explanation;
+                }
+                return await askPlugin(evaluation.decision === 'allow' ? `Matching ${describeRule('allow')}` : noMatch);
+        }
+    }
+}
+
+AccessPolicy.STRATEGIES = STRATEGIES;
+AccessPolicy.parseYaml = parseYaml;
+
+module.exports = AccessPolicy;
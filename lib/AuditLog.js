@@ -0,0 +1,172 @@
+/**
+ * Append-only JSONL record of the executed commands, rotated by size: audit.jsonl is the current file,
+ * audit.1.jsonl the previous one and so on up to maxFiles files.
+ *
+ * Arguments are stored after redaction together with a SHA-256 hash of the original arguments, so a record
+ * can be matched against a known call without keeping secrets in the log. A redaction rule looks like
+ * {pluginName, name, args} where pluginName and name restrict the rule (every command matches when omitted)
+ * and args is a list of argument indexes or "*" for all of them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./Logger').getLogger('AuditLog');
+
+const FILE_PREFIX = 'audit';
+const FILE_EXTENSION = '.jsonl';
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const DEFAULT_QUERY_LIMIT = 100;
+const REDACTED = '[REDACTED]';
+
+/**
+ * Replace the arguments matched by redaction rules with "[REDACTED]"
+ * @param {Array<Object>} rules - Redaction rules {pluginName, name, args}
+ * @param {string} pluginName - Plugin of the command
+ * @param {string} name - Method of the command
+ * @param {Array} args - Arguments of the command, returned as they are when not an array
+ * @returns {Array}
+ */
+const redactArgs = (rules, pluginName, name, args) => {
+    if (!Array.isArray(args)) {
+        return args;
+    }
+    const matching = rules.filter(rule => {
+        return (!rule.pluginName || rule.pluginName === pluginName) && (!rule.name || rule.name === name);
+    });
+    if (matching.some(rule => rule.args === '*' || typeof rule.args === 'undefined')) {
+        return args.map(() => REDACTED);
+    }
+    const redacted = new Set(matching.reduce((indexes, rule) => indexes.concat(rule.args), []));
+    return args.map((arg, index) => redacted.has(index) ? REDACTED : arg);
+}
+
+/**
+ * @param {string} folder - Folder receiving the audit files
+ * @param {Object} [options]
+ * @param {number} [options.maxFileSize=10485760] - Size in bytes after which the current file is rotated
+ * @param {number} [options.maxFiles=5] - Number of files kept, the current one included
+ * @param {Array<Object>} [options.redact=[]] - Argument redaction rules
+ */
+function AuditLog(folder, options = {}) {
+    const maxFileSize = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+    const maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+    const redactionRules = options.redact || [];
+    let currentSize;
+    // Writes are chained so records keep their order and rotation never races with an append
+    let writing = Promise.resolve();
+
+    const getFilePath = (index) => {
+        return path.join(folder, index === 0 ? `${FILE_PREFIX}${FILE_EXTENSION}` : `${FILE_PREFIX}.${index}${FILE_EXTENSION}`);
+    }
+
+    const hashArgs = (args) => {
+        return crypto.createHash('sha256').update(JSON.stringify(args === undefined ? null : args)).digest('hex');
+    }
+
+    const rotate = async () => {
+        await fs.promises.rm(getFilePath(maxFiles - 1), { force: true });
+        for (let index = maxFiles - 2; index >= 0; index--) {
+            try {
+                await fs.promises.rename(getFilePath(index), getFilePath(index + 1));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+        currentSize = 0;
+    }
+
+    const append = async (line) => {
+        if (typeof currentSize === 'undefined') {
+            await fs.promises.mkdir(folder, { recursive: true });
+            try {
+                currentSize = (await fs.promises.stat(getFilePath(0))).size;
+            } catch (error) {
+                currentSize = 0;
+            }
+        }
+        const size = Buffer.byteLength(line);
+        if (currentSize > 0 && currentSize + size > maxFileSize) {
+            await rotate();
+        }
+        await fs.promises.appendFile(getFilePath(0), line);
+        currentSize += size;
+    }
+
+    /**
+     * Append a record. Failures are logged and never reach the command that is being audited.
+     * @param {Object} entry - {forWhom, email, pluginName, name, args, allowed, outcome, error, duration, operationType, callId}
+     * @returns {Promise<void>} - Settles once the record is written
+     */
+    this.write = (entry) => {
+        const { args, ...fields } = entry;
+        const record = {
+            timestamp: new Date().toISOString(),
+            ...fields,
+            args: redactArgs(redactionRules, entry.pluginName, entry.name, args),
+            argsHash: hashArgs(args)
+        };
+        const line = JSON.stringify(record) + '\n';
+        writing = writing.then(() => append(line)).catch(error => {
+            logger.error(`Error writing audit record: ${error.message}`);
+        });
+        return writing;
+    }
+
+    /**
+     * Wait for the pending records to be written
+     * @returns {Promise<void>}
+     */
+    this.flush = () => {
+        return writing;
+    }
+
+    /**
+     * Read the most recent records, newest first
+     * @param {Object} [filters]
+     * @param {string} [filters.forWhom] - Only records of this caller
+     * @param {string} [filters.pluginName] - Only records of this plugin
+     * @param {number} [filters.limit=100] - Maximum number of records returned
+     * @returns {Promise<Array<Object>>}
+     */
+    this.query = async ({ forWhom, pluginName, limit = DEFAULT_QUERY_LIMIT } = {}) => {
+        await this.flush();
+        const records = [];
+        for (let index = 0; index < maxFiles && records.length < limit; index++) {
+            let content;
+            try {
+                content = await fs.promises.readFile(getFilePath(index), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    continue;
+                }
+                throw error;
+            }
+            const lines = content.split('\n').filter(Boolean).reverse();
+            for (const line of lines) {
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    // A partially written line, e.g. after a crash
+                    continue;
+                }
+                if ((forWhom && record.forWhom !== forWhom) || (pluginName && record.pluginName !== pluginName)) {
+                    continue;
+                }
+                records.push(record);
+                if (records.length >= limit) {
+                    break;
+                }
+            }
+        }
+        return records;
+    }
+}
+
+AuditLog.redactArgs = redactArgs;
+
+module.exports = AuditLog;
@@ -0,0 +1,259 @@
+/**
+ * Verifies the Authorization header of command requests and turns it into a caller identity {forWhom, email, provider}.
+ *
+ * Built-in providers:
+ * - jwt: "Authorization: Bearer <token>" with an HMAC-signed JWT (HS256, HS384 or HS512) checked against a shared secret.
+ * - apiKey: "Authorization: ApiKey <key>" (or a Bearer token that is not a JWT) looked up in a static JSON file
+ *   shaped like [{key, forWhom, email}].
+ * Other providers can be added with addProvider().
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { ServerlessError } = require('./errors');
+
+const HMAC_ALGORITHMS = {
+    HS256: 'sha256',
+    HS384: 'sha384',
+    HS512: 'sha512'
+};
+// Seconds of clock skew accepted when checking exp and nbf
+const DEFAULT_CLOCK_TOLERANCE = 30;
+
+const createAuthError = (message, statusCode = 401, code = 'UNAUTHENTICATED') => {
+    return new ServerlessError(message, { statusCode, code });
+}
+
+const safeEqual = (a, b) => {
+    const aBuffer = Buffer.from(a);
+    const bBuffer = Buffer.from(b);
+    return aBuffer.length === bBuffer.length && crypto.timingSafeEqual(aBuffer, bBuffer);
+}
+
+const decodeSegment = (segment) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (e) {
+        throw createAuthError('Invalid token: malformed JWT');
+    }
+    // The header and the claims are JSON objects, anything else (null, numbers, arrays) is not a JWT
+    if (!decoded || typeof decoded !== 'object' || Array.isArray(decoded)) {
+        throw createAuthError('Invalid token: malformed JWT');
+    }
+    return decoded;
+}
+
+const isJWT = (token) => {
+    return token.split('.').length === 3;
+}
+
+/**
+ * Provider checking HMAC-signed JWTs
+ * @param {Object} config
+ * @param {string} config.secret - Shared HMAC secret
+ * @param {Array<string>} [config.algorithms=["HS256"]] - Accepted signature algorithms
+ * @param {string} [config.issuer] - Required "iss" claim
+ * @param {string} [config.audience] - Required "aud" claim
+ * @param {string} [config.identityClaim="sub"] - Claim holding the caller id
+ * @param {string} [config.emailClaim="email"] - Claim holding the caller email
+ * @param {number} [config.clockTolerance=30] - Accepted clock skew in seconds
+ */
+const createJWTProvider = (config) => {
+    if (!config.secret) {
+        throw new Error('JWT authentication needs a secret');
+    }
+    const algorithms = config.algorithms || ['HS256'];
+    algorithms.forEach(algorithm => {
+        if (!HMAC_ALGORITHMS[algorithm]) {
+            throw new Error(`Unsupported JWT algorithm ${algorithm}`);
+        }
+    });
+    const clockTolerance = typeof config.clockTolerance === 'number' ? config.clockTolerance : DEFAULT_CLOCK_TOLERANCE;
+
+    return {
+        name: 'jwt',
+        authenticate: (scheme, credentials) => {
+            if (scheme !== 'bearer' || !isJWT(credentials)) {
+                return null;
+            }
+            const [encodedHeader, encodedPayload, signature] = credentials.split('.');
+            const header = decodeSegment(encodedHeader);
+            if (!algorithms.includes(header.alg)) {
+                throw createAuthError(`Invalid token: algorithm ${header.alg} is not accepted`);
+            }
+            const expected = crypto.createHmac(HMAC_ALGORITHMS[header.alg], config.secret)
+                .update(`${encodedHeader}.${encodedPayload}`)
+                .digest('base64url');
+            if (!safeEqual(signature, expected)) {
+                throw createAuthError('Invalid token: bad signature');
+            }
+
+            const claims = decodeSegment(encodedPayload);
+            const now = Math.floor(Date.now() / 1000);
+            if (typeof claims.exp === 'number' && now > claims.exp + clockTolerance) {
+                throw createAuthError('Invalid token: expired');
+            }
+            if (typeof claims.nbf === 'number' && now < claims.nbf - clockTolerance) {
+                throw createAuthError('Invalid token: not valid yet');
+            }
+            if (config.issuer && claims.iss !== config.issuer) {
+                throw createAuthError('Invalid token: unexpected issuer');
+            }
+            if (config.audience) {
+                const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+                if (!audiences.includes(config.audience)) {
+                    throw createAuthError('Invalid token: unexpected audience');
+                }
+            }
+
+            const forWhom = claims[config.identityClaim || 'sub'];
+            if (!forWhom) {
+                throw createAuthError('Invalid token: no caller identity');
+            }
+            return { forWhom, email: claims[config.emailClaim || 'email'], provider: 'jwt', claims };
+        }
+    };
+}
+
+/**
+ * Provider looking up static API keys
+ * @param {Object} config
+ * @param {string} config.file - JSON file shaped like [{key, forWhom, email}]
+ */
+const createApiKeyProvider = (config) => {
+    let entries = [];
+
+    const load = () => {
+        const keys = JSON.parse(fs.readFileSync(config.file, 'utf8'));
+        if (!Array.isArray(keys)) {
+            throw new Error(`API key file ${config.file} must contain an array of {key, forWhom, email}`);
+        }
+        // Only digests are kept in memory and compared
+        entries = keys.filter(entry => entry && entry.key && entry.forWhom).map(entry => ({
+            digest: crypto.createHash('sha256').update(entry.key).digest(),
+            forWhom: entry.forWhom,
+            email: entry.email
+        }));
+    }
+    load();
+
+    return {
+        name: 'apiKey',
+        reload: load,
+        authenticate: (scheme, credentials) => {
+            if (scheme !== 'apikey' && !(scheme === 'bearer' && !isJWT(credentials))) {
+                return null;
+            }
+            const digest = crypto.createHash('sha256').update(credentials).digest();
+            const entry = entries.find(candidate => crypto.timingSafeEqual(candidate.digest, digest));
+            if (!entry) {
+                throw createAuthError('Invalid API key');
+            }
+            return { forWhom: entry.forWhom, email: entry.email, provider: 'apiKey' };
+        }
+    };
+}
+
+/**
+ * @param {Object} config
+ * @param {Object} [config.jwt] - Options of the JWT provider, the secret defaults to SERVERLESS_JWT_SECRET
+ * @param {string} [config.apiKeysFile] - Path of the API key file
+ * @param {boolean} [config.optional=false] - Let requests without an Authorization header through unauthenticated
+ */
+function Authenticator(config = {}) {
+    const providers = [];
+
+    if (config.jwt) {
+        providers.push(createJWTProvider({ ...config.jwt, secret: config.jwt.secret || process.env.SERVERLESS_JWT_SECRET }));
+    }
+    if (config.apiKeysFile) {
+        providers.push(createApiKeyProvider({ file: config.apiKeysFile }));
+    }
+
+    /**
+     * Add a provider
+     * @param {Object} provider - {name, authenticate(scheme, credentials, req)} where authenticate returns an identity,
+     * null when the credentials are not meant for this provider, or throws when they are invalid
+     */
+    this.addProvider = (provider) => {
+        if (!provider || typeof provider.authenticate !== 'function') {
+            throw new Error('An authentication provider must implement authenticate(scheme, credentials, req)');
+        }
+        providers.push(provider);
+    }
+
+    /**
+     * Reload the providers that read their credentials from files
+     */
+    this.reload = () => {
+        providers.forEach(provider => {
+            if (typeof provider.reload === 'function') {
+                provider.reload();
+            }
+        });
+    }
+
+    /**
+     * Verify the Authorization header of a request
+     * @param {Object} req - HTTP request
+     * @returns {Promise<Object|null>} - {forWhom, email, provider}, null for anonymous requests when authentication is optional
+     * @throws {Error} - With statusCode 401 when the credentials are missing or invalid
+     */
+    this.authenticate = async (req) => {
+        const authorization = req.headers.authorization;
+        if (!authorization) {
+            if (config.optional) {
+                return null;
+            }
+            throw createAuthError('Missing Authorization header');
+        }
+        const separator = authorization.indexOf(' ');
+        if (separator === -1) {
+            throw createAuthError('Invalid Authorization header');
+        }
+        const scheme = authorization.slice(0, separator).toLowerCase();
+        const credentials = authorization.slice(separator + 1).trim();
+
+        for (const provider of providers) {
+            const identity = await provider.authenticate(scheme, credentials, req);
+            if (identity) {
+                return identity;
+            }
+        }
+        throw createAuthError(`Unsupported authorization scheme ${authorization.slice(0, separator)}`);
+    }
+
+    /**
+     * Fill the caller of a command from the verified identity, or check that the caller it claims matches
+     * @param {Object} command - {forWhom, options: {email}}
+     * @param {Object|null} identity - Result of authenticate()
+     * @returns {Object} - The command with forWhom and options.email set from the identity, or removed when it is null
+     * @throws {Error} - With statusCode 403 when the command claims another caller
+     */
+    this.applyIdentity = (command, identity) => {
+        if (!command || typeof command !== 'object') {
+            return command;
+        }
+        if (!identity) {
+            // Anonymous callers of an optional authentication cannot claim to be anybody
+            const { forWhom, ...anonymous } = command;
+            const { email, ...options } = command.options || {};
+            return { ...anonymous, options };
+        }
+        if (typeof command.forWhom !== 'undefined' && command.forWhom !== identity.forWhom) {
+            throw createAuthError(`Command claims caller ${command.forWhom} but the request is authenticated as ${identity.forWhom}`, 403, 'IDENTITY_MISMATCH');
+        }
+        const options = command.options || {};
+        if (typeof options.email !== 'undefined' && options.email !== identity.email) {
+            throw createAuthError(`Command claims email ${options.email} which does not belong to ${identity.forWhom}`, 403, 'IDENTITY_MISMATCH');
+        }
+        const authenticated = { ...command, forWhom: identity.forWhom, options: { ...options } };
+        if (identity.email) {
+            authenticated.options.email = identity.email;
+        }
+        return authenticated;
+    }
+}
+
+module.exports = Authenticator;
@@ -10,7 +10,7 @@ function CMBObservableResponse() {
     this.progress = async (intermediateResultObject) => {
         if (isCompleted) {
             if (process.env.WEBHOOK_DEBUG === 'true') {
-                console.warn(`CMBObservableResponse with callId ${this.callId} already completed, ignoring progress update`);
+                this.logger.warn(`CMBObservableResponse with callId ${this.callId} already completed, ignoring progress update`);
             }
             return;
         }
@@ -21,7 +21,7 @@ function CMBObservableResponse() {
                 progress: intermediateResultObject
             });
         } catch (error) {
-            console.error(`Error sending progress for CMBObservableResponse ${this.callId}:`, error);
+            this.logger.error(`Error sending progress for CMBObservableResponse ${this.callId}:`, error);
             this._handleError(error);
         }
     }
@@ -29,7 +29,7 @@ function CMBObservableResponse() {
     this.end = async () => {
         if (isCompleted) {
             if (process.env.WEBHOOK_DEBUG === 'true') {
-                console.warn(`CMBObservableResponse with callId ${this.callId} already completed, ignoring end call`);
+                this.logger.warn(`CMBObservableResponse with callId ${this.callId} already completed, ignoring end call`);
             }
             return;
         }
@@ -47,7 +47,7 @@ function CMBObservableResponse() {
             // Remove cleanup callbacks from registry since we completed successfully
             this._removeFromCleanupRegistry();
         } catch (error) {
-            console.error(`Error sending result for CMBObservableResponse ${this.callId}:`, error);
+            this.logger.error(`Error sending result for CMBObservableResponse ${this.callId}:`, error);
             this._handleError(error);
         }
     }
@@ -61,7 +61,7 @@ function CMBObservableResponse() {
             try {
                 callback();
             } catch (error) {
-                console.error(`Error executing resource cleanup callback:`, error);
+                this.logger.error(`Error executing resource cleanup callback:`, error);
             }
         });
         resourceCleanupCallbacks = [];
@@ -72,7 +72,7 @@ function CMBObservableResponse() {
             const ResponseCleanupRegistry = require('./ResponseCleanupRegistry').getInstance();
             ResponseCleanupRegistry.removeCleanupCallbacks(this.callId);
         } catch (error) {
-            console.error(`Error removing cleanup callbacks from registry:`, error);
+            this.logger.error(`Error removing cleanup callbacks from registry:`, error);
         }
     }
 
@@ -106,7 +106,7 @@ function CMBObservableResponse() {
     // Register cleanup callback for expiry
     this.addCleanupCallback(() => {
         if (!isCompleted) {
-            console.log(`CMBObservableResponse with callId ${this.callId} expired - cleaning up resources`);
+            this.logger.info(`CMBObservableResponse with callId ${this.callId} expired - cleaning up resources`);
             isCompleted = true;
             this._cleanup();
         }
@@ -10,7 +10,7 @@ function CMBSlowResponse() {
     this.progress = async (progressData) => {
         if (isCompleted) {
             if (process.env.WEBHOOK_DEBUG === 'true') {
-                console.warn(`CMBSlowResponse with callId ${this.callId} already completed, ignoring progress update`);
+                this.logger.warn(`CMBSlowResponse with callId ${this.callId} already completed, ignoring progress update`);
             }
             return;
         }
@@ -21,7 +21,7 @@ function CMBSlowResponse() {
                 progress: progressData
             });
         } catch (error) {
-            console.error(`Error sending progress for CMBSlowResponse ${this.callId}:`, error);
+            this.logger.error(`Error sending progress for CMBSlowResponse ${this.callId}:`, error);
             this._handleError(error);
         }
     }
@@ -29,7 +29,7 @@ function CMBSlowResponse() {
     this.end = async (result) => {
         if (isCompleted) {
             if (process.env.WEBHOOK_DEBUG === 'true') {
-                console.warn(`CMBSlowResponse with callId ${this.callId} already completed, ignoring end call`);
+                this.logger.warn(`CMBSlowResponse with callId ${this.callId} already completed, ignoring end call`);
             }
             return;
         }
@@ -48,7 +48,7 @@ function CMBSlowResponse() {
             // Remove cleanup callbacks from registry since we completed successfully
             this._removeFromCleanupRegistry();
         } catch (error) {
-            console.error(`Error sending result for CMBSlowResponse ${this.callId}:`, error);
+            this.logger.error(`Error sending result for CMBSlowResponse ${this.callId}:`, error);
             this._handleError(error);
         }
     }
@@ -62,7 +62,7 @@ function CMBSlowResponse() {
             try {
                 callback();
             } catch (error) {
-                console.error(`Error executing resource cleanup callback:`, error);
+                this.logger.error(`Error executing resource cleanup callback:`, error);
             }
         });
         resourceCleanupCallbacks = [];
@@ -73,7 +73,7 @@ function CMBSlowResponse() {
             const ResponseCleanupRegistry = require('./ResponseCleanupRegistry').getInstance();
             ResponseCleanupRegistry.removeCleanupCallbacks(this.callId);
         } catch (error) {
-            console.error(`Error removing cleanup callbacks from registry:`, error);
+            this.logger.error(`Error removing cleanup callbacks from registry:`, error);
         }
     }
 
@@ -107,7 +107,7 @@ function CMBSlowResponse() {
     // Register cleanup callback for expiry
     this.addCleanupCallback(() => {
         if (!isCompleted) {
-            console.log(`CMBSlowResponse with callId ${this.callId} expired - cleaning up resources`);
+            this.logger.info(`CMBSlowResponse with callId ${this.callId} expired - cleaning up resources`);
             isCompleted = true;
             this._cleanup();
         }
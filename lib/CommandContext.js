@@ -0,0 +1,30 @@
+/**
+ * Carries per-command state (abort signal, deadline, ...) through the asynchronous calls a plugin method makes,
+ * so plugins can read it with $$.getCommandContext() without the command arguments changing shape.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a command context
+ * @param {Object} context - State of the command, e.g. {pluginName, name, signal, deadline}
+ * @param {Function} fn - Function to run, usually the plugin method call
+ * @returns {*} - Whatever fn returns
+ */
+const run = (context, fn) => {
+    return storage.run(context, fn);
+}
+
+/**
+ * @returns {Object|undefined} - Context of the command being executed, undefined outside of a command
+ */
+const get = () => {
+    return storage.getStore();
+}
+
+module.exports = {
+    run,
+    get
+};
@@ -0,0 +1,142 @@
+/**
+ * Remembers the result of the commands sent with an idempotency key so a retried command gets the original result
+ * instead of running again. Entries expire after a TTL and the oldest ones are dropped past maxEntries. A command
+ * arriving while the first one with the same key still runs waits for it and shares its outcome.
+ *
+ * With a file, the entries are kept on disk as a JSON snapshot so they survive restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConflictError } = require('./errors');
+const logger = require('./Logger').getLogger('IdempotencyStore');
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 10000;
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.ttl=86400000] - Time an entry is kept, in milliseconds
+ * @param {number} [options.maxEntries=10000] - Entries kept, the oldest are dropped first
+ * @param {string} [options.file] - JSON file holding the entries, in memory only when omitted
+ */
+function IdempotencyStore(options = {}) {
+    const ttl = options.ttl || DEFAULT_TTL;
+    const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    const filePath = options.file;
+    // Insertion ordered, so the first key is the oldest: key -> {fingerprint, value, expiresAt}
+    const entries = new Map();
+    // Executions that did not finish yet: key -> {fingerprint, promise}
+    const inFlight = new Map();
+    let writing = Promise.resolve();
+    let saveScheduled = false;
+
+    // Every entry gets the same ttl, so the entries expire in insertion order and only the head needs checking
+    const prune = () => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt > now && entries.size <= maxEntries) {
+                break;
+            }
+            entries.delete(key);
+        }
+    }
+
+    const save = () => {
+        if (!filePath || saveScheduled) {
+            return writing;
+        }
+        // Changes made before the write starts end up in the same snapshot
+        saveScheduled = true;
+        writing = writing.then(async () => {
+            saveScheduled = false;
+            const snapshot = JSON.stringify([...entries]);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(`${filePath}.tmp`, snapshot);
+            await fs.promises.rename(`${filePath}.tmp`, filePath);
+        }).catch(error => {
+            logger.error(`Error saving idempotency keys to ${filePath}: ${error.message}`);
+        });
+        return writing;
+    }
+
+    // The key is scoped to the caller by the PluginManager, so it is left out of the message sent back
+    const createConflictError = () => {
+        return new ConflictError('The idempotency key was already used for a different command', { code: 'IDEMPOTENCY_KEY_REUSED' });
+    }
+
+    /**
+     * Read the entries saved in the file, if any
+     * @returns {Promise<void>}
+     */
+    this.load = async () => {
+        if (!filePath) {
+            return;
+        }
+        let saved;
+        try {
+            saved = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Error reading idempotency keys from ${filePath}: ${error.message}`);
+            }
+            return;
+        }
+        if (Array.isArray(saved)) {
+            // Kept in expiry order, as prune() expects, even when the ttl changed since they were saved
+            saved.sort(([, a], [, b]) => a.expiresAt - b.expiresAt).forEach(([key, entry]) => entries.set(key, entry));
+        }
+        prune();
+    }
+
+    /**
+     * Wait for the pending snapshot to be written
+     * @returns {Promise<void>}
+     */
+    this.flush = () => {
+        return writing;
+    }
+
+    /**
+     * Run fn once per key, or return what the first run with this key returned
+     * @param {string} key - Idempotency key, already scoped to the caller
+     * @param {string} fingerprint - Hash of the command, a key sent again with another command is rejected
+     * @param {Function} fn - The execution, only called for the first command with this key
+     * @param {Function} [isStorable] - Tells whether a value may be returned to later commands
+     * @returns {Promise<Object>} - {value, replayed}
+     */
+    this.execute = async (key, fingerprint, fn, isStorable = () => true) => {
+        prune();
+        const entry = entries.get(key);
+        if (entry) {
+            if (entry.fingerprint !== fingerprint) {
+                throw createConflictError();
+            }
+            return { value: entry.value, replayed: true };
+        }
+        const pending = inFlight.get(key);
+        if (pending) {
+            if (pending.fingerprint !== fingerprint) {
+                throw createConflictError();
+            }
+            return { value: await pending.promise, replayed: true };
+        }
+
+        const promise = Promise.resolve().then(fn);
+        inFlight.set(key, { fingerprint, promise });
+        try {
+            const value = await promise;
+            // Failed commands are not stored, so a retry after a failure runs the command again
+            if (isStorable(value)) {
+                entries.set(key, { fingerprint, value, expiresAt: Date.now() + ttl });
+                prune();
+                save();
+            }
+            return { value, replayed: false };
+        } finally {
+            inFlight.delete(key);
+        }
+    }
+}
+
+module.exports = IdempotencyStore;
@@ -0,0 +1,150 @@
+/**
+ * Leveled logger writing one JSON object per line: {time, level, module, correlationId, msg, ...fields}.
+ *
+ * The level comes from SERVERLESS_LOG_LEVEL (error, warn, info or debug, info by default) and the format from
+ * SERVERLESS_LOG_FORMAT ("json" by default, "text" for human readable lines). The correlation id is taken from the
+ * command context, so every line logged while a request is handled carries the id of that request.
+ */
+
+const util = require('util');
+const CommandContext = require('./CommandContext');
+
+const LEVELS = {
+    error: 0,
+    warn: 1,
+    info: 2,
+    debug: 3
+};
+const DEFAULT_LEVEL = 'info';
+
+let currentLevel = LEVELS[process.env.SERVERLESS_LOG_LEVEL] !== undefined ? process.env.SERVERLESS_LOG_LEVEL : DEFAULT_LEVEL;
+let format = process.env.SERVERLESS_LOG_FORMAT === 'text' ? 'text' : 'json';
+
+const serializeError = (error) => {
+    return { message: error.message, code: error.code, stack: error.stack };
+}
+
+const isPlainObject = (value) => {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Split console style arguments into a message and structured fields: errors go to the "error" field,
+ * plain objects are merged into the fields and everything else is formatted into the message
+ */
+const buildRecord = (message, args) => {
+    const fields = {};
+    const formatArgs = [];
+    args.forEach(arg => {
+        if (arg instanceof Error) {
+            fields.error = serializeError(arg);
+        } else if (isPlainObject(arg)) {
+            Object.assign(fields, arg);
+        } else {
+            formatArgs.push(arg);
+        }
+    });
+    if (message instanceof Error) {
+        fields.error = serializeError(message);
+        message = message.message;
+    }
+    return { msg: util.format(message, ...formatArgs), fields };
+}
+
+const write = (level, record) => {
+    let line;
+    if (format === 'text') {
+        const { time, level: recordLevel, module, correlationId, msg, ...fields } = record;
+        const context = correlationId ? ` [${correlationId}]` : '';
+        const extra = Object.keys(fields).length > 0 ? ' ' + JSON.stringify(fields) : '';
+        line = `${time} ${recordLevel.toUpperCase()} ${module || '-'}${context} ${msg}${extra}\n`;
+    } else {
+        line = JSON.stringify(record) + '\n';
+    }
+    (LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout).write(line);
+}
+
+/**
+ * @param {Object} bindings - Fields added to every record, e.g. {module: "PluginManager"}
+ */
+function Logger(bindings = {}) {
+    /**
+     * Log a record at the given level
+     * @param {string} level - error, warn, info or debug
+     * @param {string|Error} message - Message, may contain util.format placeholders
+     * @param {...*} args - Placeholder values, errors and objects of fields
+     */
+    this.log = (level, message, ...args) => {
+        if (LEVELS[level] === undefined) {
+            level = 'info';
+        }
+        if (LEVELS[level] > LEVELS[currentLevel]) {
+            return;
+        }
+        const { msg, fields } = buildRecord(message, args);
+        const context = CommandContext.get();
+        const time = new Date().toISOString();
+        const record = { time, level, ...bindings, ...fields };
+        // Bindings and fields cannot overwrite the time, level and message of the record
+        Object.assign(record, { time, level, msg });
+        if (context && context.correlationId && !record.correlationId) {
+            record.correlationId = context.correlationId;
+        }
+        write(level, record);
+    }
+
+    Object.keys(LEVELS).forEach(level => {
+        this[level] = (message, ...args) => this.log(level, message, ...args);
+    });
+
+    /**
+     * @param {Object} childBindings - Fields added to every record of the child logger
+     * @returns {Logger}
+     */
+    this.child = (childBindings) => {
+        return new Logger({ ...bindings, ...childBindings });
+    }
+
+    /**
+     * @param {string} level - Level to check
+     * @returns {boolean} - Whether records of that level are written
+     */
+    this.isLevelEnabled = (level) => {
+        return LEVELS[level] <= LEVELS[currentLevel];
+    }
+}
+
+/**
+ * @param {string} moduleName - Name of the module logging, added to every record
+ * @returns {Logger}
+ */
+const getLogger = (moduleName) => {
+    return new Logger({ module: moduleName });
+}
+
+/**
+ * @param {string} level - error, warn, info or debug
+ */
+const setLevel = (level) => {
+    if (LEVELS[level] === undefined) {
+        throw new Error(`Unknown log level ${level}, expected one of ${Object.keys(LEVELS).join(', ')}`);
+    }
+    currentLevel = level;
+}
+
+/**
+ * @param {string} newFormat - "json" or "text"
+ */
+const setFormat = (newFormat) => {
+    if (newFormat !== 'json' && newFormat !== 'text') {
+        throw new Error(`Unknown log format ${newFormat}, expected json or text`);
+    }
+    format = newFormat;
+}
+
+module.exports = {
+    getLogger,
+    setLevel,
+    setFormat,
+    LEVELS
+};
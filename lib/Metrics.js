@@ -0,0 +1,222 @@
+/**
+ * Process wide registry of counters, gauges and histograms rendered in the Prometheus text exposition format.
+ *
+ * Metrics are declared once by name and then updated with label values, e.g.
+ * metrics.counter('serverless_commands_total', 'Executed commands', ['plugin']).inc({ plugin: 'myPlugin' }).
+ * Collectors registered with addCollector() run before every snapshot to refresh values read from elsewhere.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabelValue = (value) => {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+const formatLabels = (labels) => {
+    const names = Object.keys(labels);
+    if (names.length === 0) {
+        return '';
+    }
+    return `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+}
+
+const formatValue = (value) => {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return String(value);
+}
+
+const pickLabels = (labelNames, labels = {}) => {
+    const picked = {};
+    labelNames.forEach(name => {
+        picked[name] = typeof labels[name] === 'undefined' ? '' : String(labels[name]);
+    });
+    return picked;
+}
+
+function Counter(name, help, labelNames) {
+    const values = new Map();
+
+    this.inc = (labels, value = 1) => {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const entry = values.get(key) || { labels: picked, value: 0 };
+        entry.value += value;
+        values.set(key, entry);
+    }
+
+    this.collect = () => {
+        return { name, help, type: 'counter', samples: [...values.values()].map(entry => ({ name, labels: entry.labels, value: entry.value })) };
+    }
+}
+
+function Gauge(name, help, labelNames) {
+    const values = new Map();
+
+    this.set = (labels, value) => {
+        const picked = pickLabels(labelNames, labels);
+        values.set(JSON.stringify(picked), { labels: picked, value });
+    }
+
+    this.inc = (labels, value = 1) => {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const entry = values.get(key) || { labels: picked, value: 0 };
+        entry.value += value;
+        values.set(key, entry);
+    }
+
+    this.dec = (labels, value = 1) => {
+        this.inc(labels, -value);
+    }
+
+    // Drop every value, used by collectors that rebuild the gauge from scratch
+    this.reset = () => {
+        values.clear();
+    }
+
+    this.collect = () => {
+        return { name, help, type: 'gauge', samples: [...values.values()].map(entry => ({ name, labels: entry.labels, value: entry.value })) };
+    }
+}
+
+function Histogram(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    const values = new Map();
+
+    this.observe = (labels, value) => {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        let entry = values.get(key);
+        if (!entry) {
+            entry = { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            values.set(key, entry);
+        }
+        buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                entry.counts[index]++;
+            }
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    this.collect = () => {
+        const samples = [];
+        values.forEach(entry => {
+            buckets.forEach((bound, index) => {
+                samples.push({ name: `${name}_bucket`, labels: { ...entry.labels, le: formatValue(bound) }, value: entry.counts[index] });
+            });
+            samples.push({ name: `${name}_bucket`, labels: { ...entry.labels, le: '+Inf' }, value: entry.count });
+            samples.push({ name: `${name}_sum`, labels: entry.labels, value: entry.sum });
+            samples.push({ name: `${name}_count`, labels: entry.labels, value: entry.count });
+        });
+        return { name, help, type: 'histogram', samples };
+    }
+}
+
+/**
+ * Render metric families in the Prometheus text format
+ * @param {Array<Object>} families - [{name, help, type, samples: [{name, labels, value}]}]
+ * @returns {string}
+ */
+const render = (families) => {
+    return families.map(family => {
+        const lines = [`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`];
+        family.samples.forEach(sample => {
+            lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+        });
+        return lines.join('\n');
+    }).join('\n') + '\n';
+}
+
+/**
+ * Merge the snapshots of several processes, adding a label that tells them apart
+ * @param {Object} snapshots - Snapshots keyed by the value of the label
+ * @param {string} [labelName="process"] - Name of the label added to every sample
+ * @returns {Array<Object>} - Merged metric families
+ */
+const mergeSnapshots = (snapshots, labelName = 'process') => {
+    const families = new Map();
+    Object.keys(snapshots).forEach(source => {
+        (snapshots[source] || []).forEach(family => {
+            if (!families.has(family.name)) {
+                families.set(family.name, { name: family.name, help: family.help, type: family.type, samples: [] });
+            }
+            const merged = families.get(family.name);
+            family.samples.forEach(sample => {
+                merged.samples.push({ ...sample, labels: { [labelName]: source, ...sample.labels } });
+            });
+        });
+    });
+    return [...families.values()];
+}
+
+function Metrics() {
+    const metrics = new Map();
+    const collectors = [];
+
+    const register = (name, create, type) => {
+        const existing = metrics.get(name);
+        if (existing) {
+            if (existing.type !== type) {
+                throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+            }
+            return existing.metric;
+        }
+        const metric = create();
+        metrics.set(name, { type, metric });
+        return metric;
+    }
+
+    this.counter = (name, help, labelNames = []) => {
+        return register(name, () => new Counter(name, help, labelNames), 'counter');
+    }
+
+    this.gauge = (name, help, labelNames = []) => {
+        return register(name, () => new Gauge(name, help, labelNames), 'gauge');
+    }
+
+    this.histogram = (name, help, labelNames = [], buckets) => {
+        return register(name, () => new Histogram(name, help, labelNames, buckets), 'histogram');
+    }
+
+    /**
+     * @param {Function} collector - Called before every snapshot, e.g. to set gauges read from another module
+     */
+    this.addCollector = (collector) => {
+        collectors.push(collector);
+    }
+
+    /**
+     * @returns {Array<Object>} - Current value of every metric, as metric families
+     */
+    this.snapshot = () => {
+        collectors.forEach(collector => collector());
+        return [...metrics.values()].map(({ metric }) => metric.collect());
+    }
+
+    /**
+     * @returns {string} - Current value of every metric in the Prometheus text format
+     */
+    this.render = () => {
+        return render(this.snapshot());
+    }
+}
+
+let instance;
+
+module.exports = {
+    getInstance: () => {
+        if (!instance) {
+            instance = new Metrics();
+        }
+        return instance;
+    },
+    render,
+    mergeSnapshots,
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8'
+};
@@ -9,7 +9,7 @@ function ObservableResponse() {
     this.progress = async (intermediateResultObject) => {
         if (isCompleted) {
             if (process.env.WEBHOOK_DEBUG === 'true') {
-                console.warn(`ObservableResponse with callId ${this.callId} already completed, ignoring progress update`);
+                this.logger.warn(`ObservableResponse with callId ${this.callId} already completed, ignoring progress update`);
             }
             return;
         }
@@ -20,7 +20,7 @@ function ObservableResponse() {
                 progress: intermediateResultObject
             });
         } catch (error) {
-            console.error(`Error sending progress for ObservableResponse ${this.callId}:`, error);
+            this.logger.error(`Error sending progress for ObservableResponse ${this.callId}:`, error);
             this._handleError(error);
         }
     }
@@ -28,7 +28,7 @@ function ObservableResponse() {
     this.end = async () => {
         if (isCompleted) {
             if (process.env.WEBHOOK_DEBUG === 'true') {
-                console.warn(`ObservableResponse with callId ${this.callId} already completed, ignoring end call`);
+                this.logger.warn(`ObservableResponse with callId ${this.callId} already completed, ignoring end call`);
             }
             return;
         }
@@ -46,7 +46,7 @@ function ObservableResponse() {
             // Remove cleanup callbacks from registry since we completed successfully
             this._removeFromCleanupRegistry();
         } catch (error) {
-            console.error(`Error sending result for ObservableResponse ${this.callId}:`, error);
+            this.logger.error(`Error sending result for ObservableResponse ${this.callId}:`, error);
             this._handleError(error);
         }
     }
@@ -60,7 +60,7 @@ function ObservableResponse() {
             try {
                 callback();
             } catch (error) {
-                console.error(`Error executing resource cleanup callback:`, error);
+                this.logger.error(`Error executing resource cleanup callback:`, error);
             }
         });
         resourceCleanupCallbacks = [];
@@ -71,7 +71,7 @@ function ObservableResponse() {
             const ResponseCleanupRegistry = require('./ResponseCleanupRegistry').getInstance();
             ResponseCleanupRegistry.removeCleanupCallbacks(this.callId);
         } catch (error) {
-            console.error(`Error removing cleanup callbacks from registry:`, error);
+            this.logger.error(`Error removing cleanup callbacks from registry:`, error);
         }
     }
 
@@ -105,7 +105,7 @@ function ObservableResponse() {
     // Register cleanup callback for expiry
     this.addCleanupCallback(() => {
         if (!isCompleted) {
-            console.log(`ObservableResponse with callId ${this.callId} expired - cleaning up resources`);
+            this.logger.info(`ObservableResponse with callId ${this.callId} expired - cleaning up resources`);
             isCompleted = true;
             this._cleanup();
         }
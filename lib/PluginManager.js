@@ -1,12 +1,125 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
 const ObservableResponse = require('./ObservableResponse');
-function PluginManager(rootFolder) {
+const SchemaValidator = require('./SchemaValidator');
+const VersionRange = require('./VersionRange');
+const CommandContext = require('./CommandContext');
+const RateLimiter = require('./RateLimiter');
+const Logger = require('./Logger');
+const logger = Logger.getLogger('PluginManager');
+const Metrics = require('./Metrics');
+const ResponseCleanupRegistry = require('./ResponseCleanupRegistry');
+const AuditLog = require('./AuditLog');
+const IdempotencyStore = require('./IdempotencyStore');
+const ResultCache = require('./ResultCache');
+const Tracer = require('./Tracer');
+const AccessPolicy = require('./AccessPolicy');
+const errors = require('./errors');
+const { ServerlessError, ValidationError, ForbiddenError, NotFoundError, ConflictError, UnavailableError } = errors;
+const WATCH_DEBOUNCE_INTERVAL = 200;
+const DEFAULT_HEALTH_CHECK_TIMEOUT = 5000;
+const DEFAULT_DRAIN_TIMEOUT = 10000;
+const DEFAULT_INIT_CONCURRENCY = 4;
+// Commands have no time limit unless commandTimeout, the plugin or the client sets one
+const DEFAULT_COMMAND_TIMEOUT = 0;
+const DEFAULT_MAX_BATCH_SIZE = 100;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+// Number of plugins listed in the slowest plugins report at the end of init
+const SLOWEST_PLUGINS_REPORTED = 5;
+
+const PLUGIN_STATUS = {
+    LOADED: 'loaded',
+    FAILED: 'failed',
+    SKIPPED: 'skipped-dependency-failed',
+    DISABLED: 'disabled'
+};
+
+const metrics = Metrics.getInstance();
+const commandsTotal = metrics.counter('serverless_commands_total', 'Executed commands', ['plugin', 'method', 'status']);
+const commandDuration = metrics.histogram('serverless_command_duration_seconds', 'Duration of executed commands', ['plugin', 'method', 'status']);
+const allowDenials = metrics.counter('serverless_allow_denials_total', 'Commands rejected by the allow function of their plugin', ['plugin', 'method']);
+const commandsInFlight = metrics.gauge('serverless_commands_in_flight', 'Commands being executed', ['plugin']);
+const pluginInitDuration = metrics.gauge('serverless_plugin_init_duration_seconds', 'Time spent registering each plugin', ['plugin']);
+const cacheLookups = metrics.counter('serverless_cache_lookups_total', 'Lookups of cacheable plugin methods in the result cache', ['plugin', 'method', 'result']);
+const activeResponses = metrics.gauge('serverless_active_responses', 'Asynchronous responses that are not completed yet', ['type']);
+metrics.addCollector(() => {
+    const registry = ResponseCleanupRegistry.getInstance();
+    activeResponses.reset();
+    registry.getActiveCallIds().forEach(callId => {
+        activeResponses.inc({ type: registry.getResponseType(callId) || 'unknown' });
+    });
+});
+
+// Results that complete later through webhooks, they are never cached
+const ASYNC_RESPONSE_TYPES = ['SlowResponse', 'ObservableResponse', 'CMBSlowResponse', 'CMBObservableResponse'];
+// Result caches of the PluginManagers of the process that were not shut down, $$.invalidateCache reaches all of them
+const resultCaches = new Set();
+
+const PLUGIN_FILE_EXTENSIONS = ['.js', '.cjs', '.mjs'];
+// Checked in this order inside plugin folders
+const MANIFEST_FILES = ['plugin.json', 'package.json'];
+
+/**
+ * @param {string} [rootFolder] - Folder containing the plugins/ directory
+ * @param {Object} [options]
+ * @param {boolean} [options.watch=false] - Reload plugins when their files change
+ * @param {number} [options.healthCheckTimeout=5000] - Time a plugin healthCheck() gets before it counts as unhealthy, in milliseconds
+ * @param {number} [options.drainTimeout=10000] - Time a reload waits for the running commands of a plugin before shutting it down, in milliseconds
+ * @param {number} [options.initConcurrency=4] - Maximum number of plugins of the same dependency level instantiated at once
+ * @param {Array<string>} [options.disabledPlugins=[]] - Plugins that are discovered but never instantiated
+ * @param {number} [options.commandTimeout=0] - Time a plugin method gets before the command fails, in milliseconds, 0 for no limit
+ * @param {number} [options.maxBatchSize=100] - Most commands executeBatch accepts in one call
+ * @param {Array<Object>} [options.rateLimits=[]] - Rate limit and concurrency rules, see RateLimiter
+ * @param {Object|boolean} [options.audit] - Write an audit record per command under {rootFolder}/audit, see AuditLog for the options
+ * @param {Array<Function>} [options.interceptors=[]] - Interceptors wrapping every command, see addInterceptor
+ * @param {Object} [options.accessPolicy] - {file, strategy, watchInterval}, see AccessPolicy. The file is resolved
+ * against the root folder, no policy applies unless it is set.
+ * @param {boolean} [options.developmentMode=false] - Include stack traces in the error envelopes of executeBatch
+ * @param {Object|boolean} [options.idempotency] - {ttl, maxEntries, persist} for the results of commands sent with
+ * options.idempotencyKey, see IdempotencyStore. persist keeps them in {rootFolder}/idempotency/keys.json, false disables keys.
+ * @param {Object|boolean} [options.cache] - {maxEntries} of the cache of the methods plugins declare cacheable, false disables it
+ */
+function PluginManager(rootFolder, options = {}) {
     const plugins = {};
+    // Per plugin metadata: {path, root, manifest} from discovery, {version, dependencies} from the dependency graph,
+    // {schemas, timeouts, interceptors, cacheable, healthCheck, loadDuration} from registration, {status, error, rootCause} from the last registration attempt
+    const pluginInfo = {};
+    // Plugins being swapped by a reload, mapped to a promise that settles when the swap is over
+    const reloadingPlugins = new Map();
+    // Commands dispatched to the current instance of each plugin that did not settle yet: pluginName -> Set of promises
+    const inFlightCommands = new Map();
+    let reloadQueue = Promise.resolve();
+    let watcher = null;
+    // ES modules cannot be evicted from the import cache, so reloads import them under a new URL
+    const esmReloadCounters = {};
     this.rootFolder = rootFolder || process.cwd();
     let loadOrder = [];
+    // Adjacency list built at init, mapping each plugin to the plugins it depends on
+    let dependencyGraph = {};
     let initialized = false;
     let isRestarting = false;
+    const rateLimiter = new RateLimiter(options.rateLimits);
+    const auditLog = options.audit
+        ? new AuditLog(path.join(this.rootFolder, 'audit'), typeof options.audit === 'object' ? options.audit : {})
+        : null;
+    const idempotencyOptions = typeof options.idempotency === 'object' ? options.idempotency : {};
+    const idempotencyStore = options.idempotency === false ? null : new IdempotencyStore({
+        ...idempotencyOptions,
+        file: idempotencyOptions.persist ? path.join(this.rootFolder, 'idempotency', 'keys.json') : undefined
+    });
+    const resultCache = options.cache === false ? null : new ResultCache(typeof options.cache === 'object' ? options.cache : {});
+    if (resultCache) {
+        resultCaches.add(resultCache);
+    }
+    const accessPolicyOptions = options.accessPolicy || {};
+    const accessPolicy = new AccessPolicy(
+        accessPolicyOptions.file ? path.resolve(this.rootFolder, accessPolicyOptions.file) : undefined,
+        accessPolicyOptions
+    );
+    // Interceptors added through the options or addInterceptor, in the order they run: {pluginName, interceptor}
+    const interceptors = [];
 
     const createResponseObject = (result) => {
         if (typeof result === 'undefined') {
@@ -45,8 +158,13 @@ function PluginManager(rootFolder) {
         }
     }
 
-    // {forWhom, name, pluginName, args}
-    this.executeCommand = async (command) => {
+    /**
+     * Run a command, recording the allow decision in the audit entry
+     * @param {Object} command - {forWhom, name, pluginName, args, options}
+     * @param {Object} audit - Audit entry being built for the command
+     * @returns {Promise<Object>} - {operationType, result}
+     */
+    const dispatchCommand = async (command, audit) => {
         let ret = {};
 
         if (isRestarting) {
@@ -55,66 +173,754 @@ function PluginManager(rootFolder) {
             return ret;
         }
 
-        const { forWhom, name, pluginName, args, options } = command;
-
-        console.log("DEBUG-----------------: command", JSON.stringify(command, null, 2));
         if (!command || typeof command !== 'object') {
-            throw new Error('Invalid command: Command must be an object');
+            throw new ValidationError('Invalid command: Command must be an object', { code: 'INVALID_COMMAND' });
         }
+
+        const { forWhom, name, pluginName, args, options } = command;
+
         if (!name || typeof name !== 'string') {
-            throw new Error('Invalid command: "name" must be a non-empty string');
+            throw new ValidationError('Invalid command: "name" must be a non-empty string', { code: 'INVALID_COMMAND' });
         }
         if (!pluginName || typeof pluginName !== 'string') {
-            throw new Error('Invalid command: "pluginName" must be a non-empty string');
+            throw new ValidationError('Invalid command: "pluginName" must be a non-empty string', { code: 'INVALID_COMMAND' });
         }
         if (!Array.isArray(args)) {
-            throw new Error('Invalid command: "args" must be an array');
+            throw new ValidationError('Invalid command: "args" must be an array', { code: 'INVALID_COMMAND' });
+        }
+        if (options && typeof options.timeout !== 'undefined' && !(typeof options.timeout === 'number' && options.timeout > 0)) {
+            throw new ValidationError('Invalid command: "options.timeout" must be a positive number of milliseconds', { code: 'INVALID_COMMAND' });
+        }
+
+        logger.debug(`Executing command ${pluginName}.${name}`, { forWhom });
+
+        if (reloadingPlugins.has(pluginName)) {
+            // Queue the command until the new plugin instance is registered
+            await reloadingPlugins.get(pluginName);
         }
 
         const plugin = plugins[pluginName];
         if (!plugin) {
-            throw new Error(`Could not get instance for plugin ${pluginName}`);
+            if (pluginInfo[pluginName] && pluginInfo[pluginName].status) {
+                throw createUnavailableError(pluginName);
+            }
+            throw new NotFoundError(`Could not get instance for plugin ${pluginName}`, { code: 'PLUGIN_NOT_FOUND' });
         }
         if (typeof plugin.allow !== 'function') {
-            throw new Error(`The plugin for pluginName ${pluginName} does not implement the "allow" method`);
+            throw new ServerlessError(`The plugin for pluginName ${pluginName} does not implement the "allow" method`, { code: 'PLUGIN_MISCONFIGURED' });
         }
+
+        const methodSchema = pluginInfo[pluginName] && pluginInfo[pluginName].schemas[name];
+        if (methodSchema) {
+            const failures = SchemaValidator.validateArguments(methodSchema, args);
+            if (failures.length > 0) {
+                throw new ValidationError(`Invalid arguments for ${pluginName}.${name}: ${failures.map(failure => `${failure.field} ${failure.message}`).join('; ')}`, { details: failures });
+            }
+        }
+
         let email;
         if (options && options.email) {
             email = options.email;
         }
 
-        const canExecute = await plugin.allow(forWhom, email, name, ...args);
-        if (canExecute === false) {
-            throw Error(`User ${forWhom} is not allowed to execute command ${name}`);
-        }
+        const timeout = getCommandTimeout(pluginName, name, options);
+        const controller = new AbortController();
+        // Keep what the caller put in the context, e.g. the correlation id of the HTTP request
+        const context = {
+            ...CommandContext.get(),
+            pluginName,
+            name,
+            forWhom,
+            signal: controller.signal,
+            deadline: timeout ? Date.now() + timeout : undefined
+        };
 
-        if (typeof plugin[name] !== 'function') {
-            throw new Error(`The plugin for pluginName ${pluginName} does not implement the "${name}" method`);
-        }
+        // The instance is in use from here until the method settles, a reload waits for it before shutting it down
+        let methodCall = null;
+        let settleCommand;
+        trackInFlight(pluginName, new Promise(resolve => settleCommand = resolve));
+        const intercepted = { forWhom, email, pluginName, name, args: [...args], options };
+        let res;
+        try {
+            res = await CommandContext.run(context, () => runWithDeadline(() => runInterceptors(getInterceptorChain(pluginName), intercepted, async (current) => {
+                const spanAttributes = { 'serverless.plugin': pluginName, 'serverless.method': current.name };
+                const access = await Tracer.withSpan('allow', { attributes: spanAttributes }, async (span) => {
+                    const decision = await accessPolicy.decide(current, () => plugin.allow(current.forWhom, current.email, current.name, ...current.args));
+                    span.setAttribute('serverless.allowed', decision.allowed);
+                    return decision;
+                });
+                audit.allowed = access.allowed;
+                if (!access.allowed) {
+                    throw new ForbiddenError(`User ${current.forWhom} is not allowed to execute command ${current.name}`);
+                }
 
-        let res = await plugin[name].call(plugin, ...args);
+                if (typeof plugin[current.name] !== 'function') {
+                    throw new NotFoundError(`The plugin for pluginName ${pluginName} does not implement the "${current.name}" method`, { code: 'METHOD_NOT_FOUND' });
+                }
+
+                const callMethod = () => Tracer.withSpan(`${pluginName}.${current.name}`, { attributes: spanAttributes }, () => plugin[current.name].call(plugin, ...current.args));
+                const cacheable = pluginInfo[pluginName].cacheable || {};
+                const cacheRule = resultCache && cacheable.hasOwnProperty(current.name) ? cacheable[current.name] : undefined;
+                // Only allowed commands take a token, and the concurrency slot is held until the method settles
+                // even when the deadline already answered the caller
+                const release = rateLimiter.acquire({ pluginName, name, forWhom, email });
+                const call = Promise.resolve().then(() => cacheRule ? getCachedResult(pluginName, current, cacheRule, callMethod) : callMethod());
+                call.then(release, release);
+                methodCall = call;
+                return await call;
+            }), timeout, controller, `${pluginName}.${name}`));
+        } finally {
+            (methodCall || Promise.resolve()).then(settleCommand, settleCommand);
+        }
 
         ret = createResponseObject(res);
         return ret;
     }
 
+    /**
+     * Count a command as running on the current instance of a plugin until the promise settles
+     * @param {string} pluginName - Name of the plugin
+     * @param {Promise} promise - Settles when the command no longer uses the instance
+     */
+    const trackInFlight = (pluginName, promise) => {
+        if (!inFlightCommands.has(pluginName)) {
+            inFlightCommands.set(pluginName, new Set());
+        }
+        const commands = inFlightCommands.get(pluginName);
+        commands.add(promise);
+        promise.then(() => commands.delete(promise));
+    }
+
+    /**
+     * Wait for the running commands of a plugin to settle, at most drainTimeout milliseconds
+     * @param {string} pluginName - Name of the plugin
+     * @returns {Promise<void>}
+     */
+    const drainInFlight = async (pluginName) => {
+        const commands = inFlightCommands.get(pluginName);
+        if (!commands || commands.size === 0) {
+            return;
+        }
+        const drainTimeout = typeof options.drainTimeout === 'number' ? options.drainTimeout : DEFAULT_DRAIN_TIMEOUT;
+        let timer;
+        const drained = await Promise.race([
+            Promise.all([...commands]).then(() => true),
+            new Promise(resolve => timer = setTimeout(() => resolve(false), drainTimeout))
+        ]);
+        clearTimeout(timer);
+        if (!drained) {
+            logger.warn(`Shutting down plugin ${pluginName} with ${commands.size} commands still running after ${drainTimeout}ms`);
+        }
+    }
+
+    /**
+     * Serve a cacheable method from the result cache, calling it on a miss. Only runs once the allow check passed.
+     * @param {string} pluginName - Name of the plugin
+     * @param {Object} command - {forWhom, name, args} as rewritten by the interceptors
+     * @param {Object} rule - {ttl, key, perCaller, tags} declared through getCacheable()
+     * @param {Function} callMethod - Calls the plugin method
+     * @returns {Promise<*>}
+     */
+    const getCachedResult = async (pluginName, command, rule, callMethod) => {
+        const { forWhom, name, args } = command;
+        // Entries are kept per caller unless the rule opts out, so a result is never served to another caller by default
+        const key = JSON.stringify([pluginName, name, rule.perCaller === false ? null : forWhom, rule.key ? rule.key(args, forWhom) : args]);
+        const cached = resultCache.get(key);
+        cacheLookups.inc({ plugin: pluginName, method: name, result: cached.hit ? 'hit' : 'miss' });
+        if (cached.hit) {
+            return cached.value;
+        }
+        const generation = resultCache.getGeneration();
+        const result = await callMethod();
+        if (!(result && ASYNC_RESPONSE_TYPES.includes(result.constructor.name))) {
+            const tags = typeof rule.tags === 'function' ? rule.tags(args, forWhom) : rule.tags;
+            resultCache.set(key, result, { ttl: rule.ttl, pluginName, name, tags: tags || [], generation });
+        }
+        return result;
+    }
+
+    /**
+     * Metric labels of a command. Names that do not belong to a registered plugin method are reported
+     * as "unknown" so that arbitrary client input cannot create new series.
+     */
+    const getMetricLabels = (command) => {
+        const { pluginName, name } = command || {};
+        const plugin = typeof pluginName === 'string' && plugins.hasOwnProperty(pluginName) ? plugins[pluginName] : undefined;
+        return {
+            plugin: plugin ? pluginName : 'unknown',
+            method: plugin && typeof plugin[name] === 'function' ? name : 'unknown'
+        };
+    }
+
+    const writeAuditRecord = (command, audit, duration) => {
+        const { forWhom, pluginName, name, args, options: commandOptions } = command || {};
+        auditLog.write({
+            forWhom,
+            email: commandOptions && commandOptions.email,
+            pluginName,
+            name,
+            args,
+            allowed: audit.allowed,
+            outcome: audit.outcome,
+            error: audit.error,
+            duration,
+            operationType: audit.operationType,
+            callId: audit.callId
+        });
+    }
+
+    /**
+     * Run a command only once per idempotency key of its caller. Repeated commands get the stored envelope,
+     * callId included, and the ones arriving while the first still runs wait for it.
+     * @param {Object} command - Command with options.idempotencyKey
+     * @param {Function} run - Executes the command
+     * @returns {Promise<Object>} - {value: envelope, replayed}
+     */
+    const executeOnce = async (command, run) => {
+        const key = command.options.idempotencyKey;
+        if (typeof key !== 'string' || key.length === 0 || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+            throw new ValidationError(`Invalid command: "options.idempotencyKey" must be a string of 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`, { code: 'INVALID_COMMAND' });
+        }
+        const fingerprint = crypto.createHash('sha256')
+            .update(JSON.stringify({ pluginName: command.pluginName, name: command.name, args: command.args }))
+            .digest('hex');
+        // Keys are scoped to the caller so nobody gets the result of somebody else's command
+        return await idempotencyStore.execute(JSON.stringify([command.forWhom, key]), fingerprint, run, ret => ret.operationType !== 'restart');
+    }
+
+    // {forWhom, name, pluginName, args}
+    this.executeCommand = async (command) => {
+        const audit = {};
+        const start = Date.now();
+        const labels = getMetricLabels(command);
+        let status = 200;
+        commandsInFlight.inc({ plugin: labels.plugin });
+        try {
+            const spanAttributes = { 'serverless.plugin': command && command.pluginName, 'serverless.method': command && command.name };
+            const run = () => Tracer.withSpan('executeCommand', { kind: 'server', attributes: spanAttributes }, async (span) => {
+                const dispatched = await dispatchCommand(command, audit);
+                span.setAttribute('serverless.operation_type', dispatched.operationType);
+                return dispatched;
+            });
+            let ret;
+            let replayed = false;
+            if (idempotencyStore && command && command.options && typeof command.options.idempotencyKey !== 'undefined') {
+                ({ value: ret, replayed } = await executeOnce(command, run));
+            } else {
+                ret = await run();
+            }
+            audit.outcome = ret.operationType === 'restart' ? 'restarting' : (replayed ? 'replayed' : 'success');
+            audit.operationType = ret.operationType;
+            if (ret.operationType !== 'sync' && ret.operationType !== 'restart') {
+                audit.callId = ret.result;
+            }
+            return ret;
+        } catch (error) {
+            status = errors.getStatusCode(error);
+            audit.outcome = 'error';
+            audit.error = { message: error.message, code: error.code, statusCode: error.statusCode };
+            throw error;
+        } finally {
+            const duration = Date.now() - start;
+            commandsInFlight.dec({ plugin: labels.plugin });
+            commandsTotal.inc({ ...labels, status });
+            commandDuration.observe({ ...labels, status }, duration / 1000);
+            if (audit.allowed === false) {
+                allowDenials.inc(labels);
+            }
+            if (auditLog) {
+                writeAuditRecord(command, audit, duration);
+            }
+        }
+    }
+
+    /**
+     * Read the most recent audit records, newest first
+     * @param {Object} [filters] - {forWhom, pluginName, limit}
+     * @returns {Promise<Array<Object>>}
+     */
+    this.queryAuditLog = async (filters) => {
+        if (!auditLog) {
+            throw new NotFoundError('Audit log is disabled', { code: 'AUDIT_DISABLED' });
+        }
+        return await auditLog.query(filters);
+    }
+
+    /**
+     * Explain why a caller is allowed or denied a method: the roles the policy gives them, the matching rules,
+     * whether the allow function of the plugin was called and what it answered
+     * @param {Object} command - {forWhom, email, pluginName, name, args}
+     * @returns {Promise<Object>} - {allowed, strategy, reason, policy: {decision, roles, matches}, plugin: {called, allowed, error}}
+     */
+    this.explainAccess = async ({ forWhom, email, pluginName, name, args = [] }) => {
+        if (!pluginName || !name) {
+            throw new ValidationError('pluginName and name are required', { code: 'INVALID_REQUEST' });
+        }
+        const plugin = plugins[pluginName];
+        if (!plugin) {
+            if (pluginInfo[pluginName] && pluginInfo[pluginName].status) {
+                throw createUnavailableError(pluginName);
+            }
+            throw new NotFoundError(`Plugin ${pluginName} not found`, { code: 'PLUGIN_NOT_FOUND' });
+        }
+        let pluginError;
+        const explanation = await accessPolicy.decide({ forWhom, email, pluginName, name }, async () => {
+            try {
+                return await plugin.allow(forWhom, email, name, ...args);
+            } catch (error) {
+                pluginError = error;
+                return false;
+            }
+        });
+        if (pluginError) {
+            explanation.plugin.error = pluginError.message;
+            explanation.reason = `${explanation.reason} (it threw: ${pluginError.message})`;
+        }
+        explanation.methodExists = typeof plugin[name] === 'function';
+        return explanation;
+    }
+
+    /**
+     * Drop cached results of cacheable methods, e.g. after a plugin wrote the data they read
+     * @param {Object} filters - {pluginName, name, tag}, entries matching every given filter are dropped
+     * @returns {number} - Number of dropped entries
+     */
+    this.invalidateCache = (filters = {}) => {
+        return resultCache ? resultCache.invalidate(filters) : 0;
+    }
+
+    /**
+     * Add an interceptor around the allow check and the plugin method of commands. An interceptor is called as
+     * interceptor(command, next) with command = {forWhom, email, pluginName, name, args, options}; it can rewrite
+     * the command and pass it to next(command), return a result without calling next, or change the result or the
+     * error of next(). Global interceptors run first, in the order they were added, then the ones added for the
+     * plugin, then the ones the plugin exports through getInterceptors().
+     * @param {Function} interceptor - async (command, next) => result
+     * @param {Object} [filter]
+     * @param {string} [filter.pluginName] - Only intercept the commands of this plugin
+     * @returns {Function} - Removes the interceptor
+     */
+    this.addInterceptor = (interceptor, { pluginName } = {}) => {
+        if (typeof interceptor !== 'function') {
+            throw new Error('Interceptor must be a function');
+        }
+        const entry = { pluginName, interceptor };
+        interceptors.push(entry);
+        return () => {
+            const index = interceptors.indexOf(entry);
+            if (index !== -1) {
+                interceptors.splice(index, 1);
+            }
+        };
+    }
+
+    (options.interceptors || []).forEach(interceptor => this.addInterceptor(interceptor));
+
+    /**
+     * Execute several commands in one call. Every command goes through executeCommand,
+     * so a failing command only affects its own envelope and not the rest of the batch.
+     * @param {Array<Object>} commands - Commands shaped like {forWhom, name, pluginName, args, options}
+     * @param {Object} [batchOptions]
+     * @param {string} [batchOptions.mode="sequential"] - "sequential" or "parallel"
+     * @returns {Promise<Array<Object>>} - One {statusCode, operationType, result} envelope per command, in input order
+     */
+    this.executeBatch = async (commands, { mode = 'sequential' } = {}) => {
+        if (!Array.isArray(commands)) {
+            throw new ValidationError('Invalid batch: "commands" must be an array', { code: 'INVALID_BATCH' });
+        }
+        if (mode !== 'sequential' && mode !== 'parallel') {
+            throw new ValidationError(`Invalid batch: unknown mode "${mode}", expected "sequential" or "parallel"`, { code: 'INVALID_BATCH' });
+        }
+        const maxBatchSize = options.maxBatchSize || DEFAULT_MAX_BATCH_SIZE;
+        if (commands.length > maxBatchSize) {
+            throw new ValidationError(`Invalid batch: ${commands.length} commands exceed the maximum of ${maxBatchSize}`, { code: 'INVALID_BATCH' });
+        }
+
+        const runCommand = async (command) => {
+            try {
+                const pluginResult = await this.executeCommand(command);
+                return {
+                    statusCode: 200,
+                    operationType: pluginResult.operationType,
+                    result: pluginResult.result
+                };
+            } catch (error) {
+                logger.error(error);
+                return {
+                    statusCode: errors.getStatusCode(error),
+                    operationType: undefined,
+                    result: errors.toErrorResult(error, options.developmentMode === true)
+                };
+            }
+        }
+
+        if (mode === 'parallel') {
+            return await Promise.all(commands.map(runCommand));
+        }
+
+        const results = [];
+        for (const command of commands) {
+            results.push(await runCommand(command));
+        }
+        return results;
+    }
+
+    /**
+     * Tell whether a plugin file is an ES module: .mjs files, or .js files whose nearest package.json
+     * declares "type": "module"
+     * @param {string} pluginPath - Path to the plugin file
+     * @returns {boolean}
+     */
+    const isESModule = (pluginPath) => {
+        const extension = path.extname(pluginPath);
+        if (extension === '.mjs') {
+            return true;
+        }
+        if (extension !== '.js') {
+            return false;
+        }
+        let dir = path.dirname(pluginPath);
+        while (true) {
+            const packageFile = path.join(dir, 'package.json');
+            if (fs.existsSync(packageFile)) {
+                try {
+                    return JSON.parse(fs.readFileSync(packageFile, 'utf8')).type === 'module';
+                } catch (e) {
+                    return false;
+                }
+            }
+            if (path.dirname(dir) === dir) {
+                return false;
+            }
+            dir = path.dirname(dir);
+        }
+    }
+
+    /**
+     * Pick the time a command gets: the method override declared by the plugin, otherwise the manager default,
+     * shortened by the deadline the client sent in the command options
+     * @param {string} pluginName - Name of the plugin
+     * @param {string} methodName - Name of the method
+     * @param {Object} [commandOptions] - Options of the command, may carry a timeout in milliseconds
+     * @returns {number} - Timeout in milliseconds, 0 when the command has no time limit
+     */
+    const getCommandTimeout = (pluginName, methodName, commandOptions) => {
+        const timeouts = (pluginInfo[pluginName] && pluginInfo[pluginName].timeouts) || {};
+        let timeout = typeof options.commandTimeout === 'number' ? options.commandTimeout : DEFAULT_COMMAND_TIMEOUT;
+        if (typeof timeouts[methodName] === 'number') {
+            timeout = timeouts[methodName];
+        }
+        const requested = commandOptions && commandOptions.timeout;
+        if (typeof requested === 'number' && (timeout <= 0 || requested < timeout)) {
+            timeout = requested;
+        }
+        return Math.max(timeout, 0);
+    }
+
+    /**
+     * Interceptors applying to the commands of a plugin: the global ones, then the ones added for the plugin,
+     * then the ones the plugin exports
+     * @param {string} pluginName - Name of the plugin
+     * @returns {Array<Function>}
+     */
+    const getInterceptorChain = (pluginName) => {
+        const added = interceptors
+            .filter(entry => !entry.pluginName || entry.pluginName === pluginName)
+            .sort((first, second) => Number(Boolean(first.pluginName)) - Number(Boolean(second.pluginName)))
+            .map(entry => entry.interceptor);
+        return added.concat((pluginInfo[pluginName] && pluginInfo[pluginName].interceptors) || []);
+    }
+
+    /**
+     * Call the interceptors in order, each one receiving the command and a next(command) function that runs
+     * the rest of the chain and resolves to its result. The last next() runs the core function.
+     * @param {Array<Function>} chain - Interceptors, outermost first
+     * @param {Object} command - {forWhom, email, pluginName, name, args, options}
+     * @param {Function} core - Receives the command as rewritten by the interceptors
+     * @returns {Promise<*>}
+     */
+    const runInterceptors = async (chain, command, core) => {
+        const dispatch = async (index, current) => {
+            if (index === chain.length) {
+                return await core(current);
+            }
+            let called = false;
+            return await chain[index](current, async (next = current) => {
+                if (called) {
+                    throw new Error(`Interceptor ${index} of ${command.pluginName}.${command.name} called next() more than once`);
+                }
+                called = true;
+                // The plugin is resolved before the chain runs, so interceptors cannot redirect a command to another plugin
+                return await dispatch(index + 1, { ...next, pluginName: command.pluginName });
+            });
+        }
+        return await dispatch(0, command);
+    }
+
+    /**
+     * Run a command and fail it with a 504 error when the deadline passes. The controller is aborted with
+     * that error so the plugin method can stop its work through the signal of its command context.
+     * @param {Function} fn - The command to run
+     * @param {number} timeout - Time limit in milliseconds, 0 for none
+     * @param {AbortController} controller - Controller whose signal was handed to the plugin
+     * @param {string} label - Name of the command used in the error message
+     * @returns {Promise<*>}
+     */
+    const runWithDeadline = async (fn, timeout, controller, label) => {
+        if (!timeout) {
+            return await fn();
+        }
+        let timer;
+        const deadline = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new ServerlessError(`Command ${label} timed out after ${timeout}ms`, { statusCode: 504, code: 'COMMAND_TIMEOUT' });
+                controller.abort(error);
+                reject(error);
+            }, timeout);
+        });
+        try {
+            return await Promise.race([fn(), deadline]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Build the error returned to commands sent to a plugin that is not loaded, naming the root cause
+     * @param {string} pluginName - Name of the plugin
+     * @returns {Error}
+     */
+    const createUnavailableError = (pluginName) => {
+        const info = pluginInfo[pluginName];
+        let reason;
+        if (info.status === PLUGIN_STATUS.DISABLED) {
+            reason = 'it is disabled';
+        } else if (info.rootCause && info.rootCause !== pluginName) {
+            const rootCauseInfo = pluginInfo[info.rootCause] || {};
+            const rootCauseError = rootCauseInfo.error ? `: ${rootCauseInfo.error.message}` : '';
+            reason = `its dependency ${info.rootCause} is ${rootCauseInfo.status}${rootCauseError}`;
+        } else {
+            reason = `it failed to register${info.error ? ': ' + info.error.message : ''}`;
+        }
+        const error = new UnavailableError(`Plugin ${pluginName} is unavailable because ${reason}`, { code: 'PLUGIN_UNAVAILABLE' });
+        error.rootCause = info.rootCause || pluginName;
+        return error;
+    }
+
+    /**
+     * Record the outcome of a registration attempt
+     * @param {string} pluginName - Name of the plugin
+     * @param {string} status - One of PLUGIN_STATUS
+     * @param {Error} [error] - Why the plugin is not loaded
+     * @param {string} [rootCause] - Plugin whose failure prevented this one from loading
+     */
+    const setPluginStatus = (pluginName, status, error, rootCause) => {
+        pluginInfo[pluginName] = Object.assign(pluginInfo[pluginName] || {}, { status, error, rootCause });
+    }
+
     /**
      * Load a plugin module from a file path and get its exports
      * @param {string} pluginPath - Path to the plugin file
-     * @returns {Object} - The plugin module exports
+     * @returns {Promise<Object>} - The plugin module exports
      */
-    const loadPluginModule = (pluginPath) => {
+    const loadPluginModule = async (pluginPath) => {
         try {
-            return require(pluginPath);
+            if (!isESModule(pluginPath)) {
+                return require(pluginPath);
+            }
+            const url = pathToFileURL(pluginPath);
+            if (esmReloadCounters[pluginPath]) {
+                url.search = `reload=${esmReloadCounters[pluginPath]}`;
+            }
+            const namespace = await import(url.href);
+            // Plugins may use named exports or export an object as default
+            if (typeof namespace.getInstance !== 'function' && namespace.default && typeof namespace.default === 'object') {
+                return namespace.default;
+            }
+            return namespace;
         } catch (e) {
             throw Error(`Cannot load plugin module at path ${pluginPath}: ${e.message}`);
         }
     };
 
+    /**
+     * Make the next loadPluginModule call read the plugin code again. CommonJS plugins get every cached
+     * file under their root evicted; ES modules only get their entry point imported again.
+     * @param {Object} info - The pluginInfo entry of the plugin
+     */
+    const forgetPluginModule = (info) => {
+        if (isESModule(info.path)) {
+            esmReloadCounters[info.path] = (esmReloadCounters[info.path] || 0) + 1;
+            return;
+        }
+        const root = info.root || info.path;
+        Object.keys(require.cache).forEach(cachedPath => {
+            if (cachedPath === root || cachedPath.startsWith(root + path.sep)) {
+                delete require.cache[cachedPath];
+            }
+        });
+    }
+
+    /**
+     * Read the manifest of a plugin folder
+     * @param {string} pluginDir - Path to the plugin folder
+     * @returns {Object|undefined} - {file, name, version, entry, dependencies}, undefined if the folder has no manifest
+     */
+    const readManifest = (pluginDir) => {
+        for (const manifestFile of MANIFEST_FILES) {
+            const manifestPath = path.join(pluginDir, manifestFile);
+            if (!fs.existsSync(manifestPath)) {
+                continue;
+            }
+            const content = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            // In package.json "dependencies" lists npm packages, so plugin dependencies have their own field
+            const isPackage = manifestFile === 'package.json';
+            return {
+                file: manifestPath,
+                name: content.name,
+                version: content.version,
+                entry: path.resolve(pluginDir, (isPackage ? content.main : content.entry) || 'index.js'),
+                dependencies: isPackage ? content.pluginDependencies : content.dependencies
+            };
+        }
+    }
+
+    /**
+     * Find the plugins of a plugins folder: flat .js/.cjs/.mjs files and subfolders with a plugin.json or package.json
+     * @param {string} pluginsDir - Path to the plugins folder
+     * @returns {Array<Object>} - Candidates as {path, root, manifest, defaultName}
+     */
+    const discoverPlugins = (pluginsDir) => {
+        const candidates = [];
+        fs.readdirSync(pluginsDir, { withFileTypes: true }).forEach(entry => {
+            const entryPath = path.join(pluginsDir, entry.name);
+            if (entry.isDirectory()) {
+                let manifest;
+                try {
+                    manifest = readManifest(entryPath);
+                } catch (error) {
+                    logger.error(`Error reading plugin manifest in ${entryPath}: ${error.message}`);
+                    return;
+                }
+                if (manifest) {
+                    candidates.push({ path: manifest.entry, root: entryPath, manifest, defaultName: entry.name });
+                }
+            } else if (PLUGIN_FILE_EXTENSIONS.includes(path.extname(entry.name))) {
+                const defaultName = path.basename(entry.name, path.extname(entry.name));
+                candidates.push({ path: entryPath, root: entryPath, defaultName });
+            }
+        });
+        return candidates;
+    }
+
+    /**
+     * Name a discovered plugin after its getName() export, its manifest, or its file or folder name
+     */
+    const getPluginName = async (pluginModule, candidate) => {
+        if (typeof pluginModule.getName === 'function') {
+            return await pluginModule.getName();
+        }
+        if (candidate.manifest && candidate.manifest.name) {
+            return candidate.manifest.name;
+        }
+        return candidate.defaultName;
+    }
+
+    /**
+     * Collect the method schemas a plugin declares, either through a getSchemas() export
+     * or through getPublicMethods() entries shaped like {name, params, returns}
+     * @param {Object} pluginModule - The plugin module exports
+     * @param {Object} plugin - The plugin instance
+     * @returns {Promise<Object>} - Method schemas keyed by method name
+     */
+    const loadMethodSchemas = async (pluginModule, plugin) => {
+        if (typeof pluginModule.getSchemas === 'function') {
+            return (await pluginModule.getSchemas()) || {};
+        }
+
+        const schemas = {};
+        if (typeof plugin.getPublicMethods === 'function') {
+            const publicMethods = await plugin.getPublicMethods();
+            if (Array.isArray(publicMethods)) {
+                publicMethods.forEach(method => {
+                    if (method && typeof method === 'object' && method.name) {
+                        schemas[method.name] = method;
+                    }
+                });
+            }
+        }
+        return schemas;
+    }
+
+    /**
+     * Collect the per-method timeouts a plugin declares through a getTimeouts() export
+     * @param {Object} pluginModule - The plugin module exports
+     * @returns {Promise<Object>} - Timeouts in milliseconds keyed by method name
+     */
+    const loadMethodTimeouts = async (pluginModule) => {
+        if (typeof pluginModule.getTimeouts !== 'function') {
+            return {};
+        }
+        return (await pluginModule.getTimeouts()) || {};
+    }
+
+    /**
+     * Collect the rate limit rules a plugin declares for its methods through a getLimits() export
+     * @param {Object} pluginModule - The plugin module exports
+     * @returns {Promise<Array<Object>>} - Rate limit rules, see RateLimiter
+     */
+    const loadMethodLimits = async (pluginModule) => {
+        if (typeof pluginModule.getLimits !== 'function') {
+            return [];
+        }
+        return (await pluginModule.getLimits()) || [];
+    }
+
+    /**
+     * Collect the methods a plugin declares cacheable through a getCacheable() export
+     * @param {Object} pluginModule - The plugin module exports
+     * @param {string} pluginName - Name of the plugin, used in the error message
+     * @returns {Promise<Object>} - {ttl, key, perCaller, tags} keyed by method name
+     */
+    const loadCacheRules = async (pluginModule, pluginName) => {
+        if (typeof pluginModule.getCacheable !== 'function') {
+            return {};
+        }
+        const rules = (await pluginModule.getCacheable()) || {};
+        Object.keys(rules).forEach(methodName => {
+            const rule = rules[methodName] || {};
+            if (!(typeof rule.ttl === 'number' && rule.ttl > 0)) {
+                throw new Error(`getCacheable() of plugin ${pluginName} must give ${methodName} a positive ttl in milliseconds`);
+            }
+            if (typeof rule.key !== 'undefined' && typeof rule.key !== 'function') {
+                throw new Error(`getCacheable() of plugin ${pluginName}: the key of ${methodName} must be a function of (args, forWhom)`);
+            }
+        });
+        return rules;
+    }
+
+    /**
+     * Collect the interceptors a plugin contributes to its own commands through a getInterceptors() export
+     * @param {Object} pluginModule - The plugin module exports
+     * @param {string} pluginName - Name of the plugin, used in the error message
+     * @returns {Promise<Array<Function>>} - Interceptors, outermost first
+     */
+    const loadPluginInterceptors = async (pluginModule, pluginName) => {
+        if (typeof pluginModule.getInterceptors !== 'function') {
+            return [];
+        }
+        const pluginInterceptors = (await pluginModule.getInterceptors()) || [];
+        if (!Array.isArray(pluginInterceptors) || pluginInterceptors.some(interceptor => typeof interceptor !== 'function')) {
+            throw new Error(`getInterceptors() of plugin ${pluginName} must return an array of functions`);
+        }
+        return pluginInterceptors;
+    }
+
     this.registerPlugin = async (pluginName, pluginPath) => {
+        const start = Date.now();
         let pluginModule;
         try {
-            pluginModule = loadPluginModule(pluginPath);
+            pluginModule = await loadPluginModule(pluginPath);
         } catch (e) {
             throw Error(`Cannot load plugin module at path ${pluginPath}`);
         }
@@ -132,15 +938,54 @@ function PluginManager(rootFolder) {
         }
 
         if (plugins[pluginName]) {
-            throw Error(`Plugin ${pluginName} already registered`);
+            throw new ConflictError(`Plugin ${pluginName} already registered`, { code: 'PLUGIN_ALREADY_REGISTERED' });
         }
 
+        const schemas = await loadMethodSchemas(pluginModule, plugin);
+        const timeouts = await loadMethodTimeouts(pluginModule);
+        const pluginInterceptors = await loadPluginInterceptors(pluginModule, pluginName);
+        const cacheable = await loadCacheRules(pluginModule, pluginName);
+        rateLimiter.setPluginRules(pluginName, await loadMethodLimits(pluginModule));
+        pluginInfo[pluginName] = Object.assign(pluginInfo[pluginName] || {}, {
+            path: pluginPath,
+            schemas,
+            timeouts,
+            interceptors: pluginInterceptors,
+            cacheable,
+            healthCheck: typeof pluginModule.healthCheck === 'function' ? pluginModule.healthCheck : undefined,
+            loadDuration: Date.now() - start,
+            status: PLUGIN_STATUS.LOADED,
+            error: undefined,
+            rootCause: undefined
+        });
         plugins[pluginName] = plugin;
+        if (resultCache) {
+            // A new instance of the plugin may compute different results
+            resultCache.invalidate({ pluginName });
+        }
         loadOrder.push(pluginName); // Track the loading order
+        pluginInitDuration.set({ plugin: pluginName }, pluginInfo[pluginName].loadDuration / 1000);
     }
 
     /**
-     * Build a dependency graph from plugins' getDependencies functions
+     * Normalize a dependency declared as a plugin name or as {name, version, optional}
+     * @param {string|Object} dependency - The declared dependency
+     * @param {string} pluginName - Name of the plugin declaring it
+     * @returns {Object} - {name, version, optional}
+     */
+    const normalizeDependency = (dependency, pluginName) => {
+        if (typeof dependency === 'string') {
+            return { name: dependency, optional: false };
+        }
+        if (dependency && typeof dependency === 'object' && typeof dependency.name === 'string') {
+            return { name: dependency.name, version: dependency.version, optional: dependency.optional === true };
+        }
+        throw new Error(`Invalid dependency ${JSON.stringify(dependency)} declared by plugin ${pluginName}`);
+    }
+
+    /**
+     * Build a dependency graph from plugins' getDependencies functions.
+     * The declared dependencies and the version exported through getVersion are kept in pluginInfo.
      * @param {Object} pluginModules - Object containing plugin modules keyed by plugin name
      * @returns {Object} - Adjacency list representing the dependency graph
      */
@@ -153,11 +998,22 @@ function PluginManager(rootFolder) {
         });
         const getPluginDependencies = async (pluginName) => {
             const pluginModule = pluginModules[pluginName];
-            // Get dependencies from getDependencies function if it exists
+            const manifest = (pluginInfo[pluginName] && pluginInfo[pluginName].manifest) || {};
+            // Get dependencies from getDependencies function if it exists, otherwise from the manifest
             let dependencies = [];
             if (typeof pluginModule.getDependencies === 'function') {
-                dependencies = await pluginModule.getDependencies();
+                dependencies = (await pluginModule.getDependencies()) || [];
+            } else if (Array.isArray(manifest.dependencies)) {
+                dependencies = manifest.dependencies;
+            }
+            dependencies = dependencies.map(dependency => normalizeDependency(dependency, pluginName));
+
+            let version = manifest.version;
+            if (typeof pluginModule.getVersion === 'function') {
+                version = await pluginModule.getVersion();
             }
+
+            pluginInfo[pluginName] = Object.assign(pluginInfo[pluginName] || {}, { version, dependencies });
             return { pluginName: pluginName, dependencies: dependencies };
         }
 
@@ -173,12 +1029,81 @@ function PluginManager(rootFolder) {
                 if (!graph[pluginName]) {
                     graph[pluginName] = [];
                 }
-                graph[pluginName].push(dep);
+                graph[pluginName].push(dep.name);
             })
         });
         return graph;
     };
 
+    /**
+     * Check a declared dependency against the available plugins and their versions
+     * @param {Object} dependency - {name, version, optional}
+     * @param {Array<string>} availablePlugins - Names of the plugins that can satisfy a dependency
+     * @returns {string|undefined} - Why the dependency is not satisfied, undefined if it is
+     */
+    const checkDependency = (dependency, availablePlugins) => {
+        if (!availablePlugins.includes(dependency.name)) {
+            return 'plugin not found';
+        }
+        const status = pluginInfo[dependency.name] && pluginInfo[dependency.name].status;
+        if (status === PLUGIN_STATUS.FAILED || status === PLUGIN_STATUS.DISABLED) {
+            // The dependency exists, its dependents are skipped at registration instead of failing init
+            return;
+        }
+        if (!dependency.version) {
+            return;
+        }
+        const version = pluginInfo[dependency.name] && pluginInfo[dependency.name].version;
+        if (!version) {
+            return `${dependency.name} does not declare a version`;
+        }
+        try {
+            if (!VersionRange.satisfies(version, dependency.version)) {
+                return `found version ${version}`;
+            }
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * Check every edge of the dependency graph. Unsatisfied optional dependencies are removed
+     * from the graph with a warning, unsatisfied required ones are reported.
+     * @param {Object} graph - Adjacency list representing the dependency graph, pruned in place
+     * @param {Array<string>} availablePlugins - Names of the plugins that can satisfy a dependency
+     * @returns {Array<Object>} - Unresolved required edges as {pluginName, dependency, version, reason}
+     */
+    const resolveDependencies = (graph, availablePlugins) => {
+        const unresolved = [];
+        Object.keys(graph).forEach(pluginName => {
+            const dependencies = (pluginInfo[pluginName] && pluginInfo[pluginName].dependencies) || [];
+            graph[pluginName] = dependencies.filter(dependency => {
+                const reason = checkDependency(dependency, availablePlugins);
+                if (!reason) {
+                    return true;
+                }
+                const edge = `${pluginName} -> ${dependency.name}${dependency.version ? '@' + dependency.version : ''}`;
+                if (dependency.optional) {
+                    logger.warn(`Skipping optional dependency ${edge}: ${reason}`);
+                } else {
+                    unresolved.push({ pluginName, dependency: dependency.name, version: dependency.version, reason });
+                }
+                return false;
+            }).map(dependency => dependency.name);
+        });
+        return unresolved;
+    }
+
+    const createUnresolvedDependenciesError = (unresolved) => {
+        const report = unresolved.map(edge => {
+            return `  - ${edge.pluginName} -> ${edge.dependency}${edge.version ? '@' + edge.version : ''}: ${edge.reason}`;
+        }).join('\n');
+        const error = new Error(`Unresolved plugin dependencies:\n${report}`);
+        error.code = 'UNRESOLVED_DEPENDENCIES';
+        error.unresolved = unresolved;
+        return error;
+    }
+
     /**
      * Perform a topological sort on the dependency graph
      * @param {Object} graph - Adjacency list representing the dependency graph
@@ -233,123 +1158,560 @@ function PluginManager(rootFolder) {
         return order
     };
 
+    /**
+     * Group topologically sorted plugins into levels: a plugin's level is one more than the highest level
+     * of its dependencies, so plugins of the same level never depend on each other
+     * @param {Object} graph - Adjacency list representing the dependency graph
+     * @param {Array<string>} sortedPlugins - Plugins in topologically sorted order
+     * @returns {Array<Array<string>>} - Plugins grouped by level, lowest level first
+     */
+    const groupByLevel = (graph, sortedPlugins) => {
+        const levels = [];
+        const levelOf = {};
+        sortedPlugins.forEach(pluginName => {
+            const level = (graph[pluginName] || []).reduce((highest, dependency) => {
+                return typeof levelOf[dependency] === 'undefined' ? highest : Math.max(highest, levelOf[dependency] + 1);
+            }, 0);
+            levelOf[pluginName] = level;
+            if (!levels[level]) {
+                levels[level] = [];
+            }
+            levels[level].push(pluginName);
+        });
+        return levels;
+    }
+
+    /**
+     * Run a worker over every item with at most `limit` workers in flight
+     * @param {Array} items - Items to process
+     * @param {number} limit - Maximum number of concurrent workers
+     * @param {Function} worker - Async function called with each item, expected not to throw
+     * @returns {Promise<void>}
+     */
+    const runWithConcurrency = async (items, limit, worker) => {
+        let next = 0;
+        const runNext = async () => {
+            while (next < items.length) {
+                await worker(items[next++]);
+            }
+        }
+        const runners = [];
+        for (let i = 0; i < Math.min(Math.max(limit, 1), items.length); i++) {
+            runners.push(runNext());
+        }
+        await Promise.all(runners);
+    }
+
+    /**
+     * Register a discovered plugin unless it is disabled, failed to load, or one of its dependencies
+     * is not loaded, and record the outcome in its status
+     * @param {string} pluginName - Name of the plugin
+     * @returns {Promise<void>}
+     */
+    const registerDiscoveredPlugin = async (pluginName) => {
+        const info = pluginInfo[pluginName];
+        if (info.status === PLUGIN_STATUS.DISABLED || info.status === PLUGIN_STATUS.FAILED) {
+            return;
+        }
+
+        const blockingDependency = (dependencyGraph[pluginName] || []).find(dependency => {
+            return !pluginInfo[dependency] || pluginInfo[dependency].status !== PLUGIN_STATUS.LOADED;
+        });
+        if (blockingDependency) {
+            const dependencyInfo = pluginInfo[blockingDependency] || {};
+            const rootCause = dependencyInfo.rootCause || blockingDependency;
+            const error = new Error(`Dependency ${blockingDependency} is ${dependencyInfo.status || 'missing'}`);
+            setPluginStatus(pluginName, PLUGIN_STATUS.SKIPPED, error, rootCause);
+            logger.error(`Skipping plugin ${pluginName}: ${error.message} (root cause: ${rootCause})`);
+            return;
+        }
+
+        try {
+            if (!info.path || !fs.existsSync(info.path)) {
+                throw new Error(`Plugin file not found for ${pluginName}`);
+            }
+            await this.registerPlugin(pluginName, info.path);
+            logger.info(`Registered plugin: ${pluginName} in ${pluginInfo[pluginName].loadDuration}ms`);
+        } catch (error) {
+            setPluginStatus(pluginName, PLUGIN_STATUS.FAILED, error, pluginName);
+            logger.error(`Error registering plugin ${pluginName}: ${error.message}`);
+        }
+    }
+
     /**
      * Initialize the plugin manager by discovering and registering plugins
      * based on their dependenciesW
      * @returns {Promise<void>}
      */
     this.init = async () => {
+        const initStart = Date.now();
         initialized = false;
         loadOrder = [];
 
+        // An invalid policy file fails init rather than letting commands through unchecked
+        await accessPolicy.load();
+        accessPolicy.watch();
+        if (idempotencyStore) {
+            await idempotencyStore.load();
+        }
+
         const pluginsDir = path.join(this.rootFolder, 'plugins');
 
         // Check if plugins directory exists
         if (!fs.existsSync(pluginsDir)) {
-            console.warn(`Plugins directory not found at ${pluginsDir}`);
+            logger.warn(`Plugins directory not found at ${pluginsDir}`);
             return;
         }
 
-        // Discover plugin files
-        const pluginFiles = fs.readdirSync(pluginsDir)
-            .filter(file => file.endsWith('.js'))
-            .map(file => path.join(pluginsDir, file));
+        // Discover plugin files and plugin folders
+        const candidates = discoverPlugins(pluginsDir);
 
-        if (pluginFiles.length === 0) {
-            console.warn(`No plugin files found in ${pluginsDir}`);
+        if (candidates.length === 0) {
+            logger.warn(`No plugin files found in ${pluginsDir}`);
             return;
         }
 
-        // Load plugin modules and map them by name (derived from filename)
+        // Load plugin modules and map them by name
         const pluginModules = {};
+        const discoveredPlugins = [];
+        const duplicates = [];
+        const disabledPlugins = options.disabledPlugins || [];
 
-        for (const pluginFile of pluginFiles) {
+        for (const candidate of candidates) {
+            let pluginModule;
+            let pluginName;
+            let loadError;
             try {
-                const pluginModule = loadPluginModule(pluginFile);
-                // Use filename (without extension) as the plugin name
-                const pluginName = path.basename(pluginFile, '.js');
-                pluginModules[pluginName] = pluginModule;
+                pluginModule = await loadPluginModule(candidate.path);
+                pluginName = await getPluginName(pluginModule, candidate);
             } catch (error) {
-                console.error(`Error loading plugin from ${pluginFile}: ${error.message}`);
+                logger.error(`Error loading plugin from ${candidate.path}: ${error.message}`);
+                // Keep track of the plugin so its dependents can name it as the root cause
+                pluginName = (candidate.manifest && candidate.manifest.name) || candidate.defaultName;
+                loadError = error;
+            }
+
+            if (discoveredPlugins.includes(pluginName)) {
+                duplicates.push(`  - ${pluginName}: ${pluginInfo[pluginName].path} and ${candidate.path}`);
+                continue;
+            }
+            discoveredPlugins.push(pluginName);
+            pluginInfo[pluginName] = { path: candidate.path, root: candidate.root, manifest: candidate.manifest };
+
+            if (loadError) {
+                setPluginStatus(pluginName, PLUGIN_STATUS.FAILED, loadError, pluginName);
+            } else if (disabledPlugins.includes(pluginName)) {
+                setPluginStatus(pluginName, PLUGIN_STATUS.DISABLED);
+                logger.info(`Plugin ${pluginName} is disabled`);
+            } else {
+                pluginModules[pluginName] = pluginModule;
             }
         }
 
+        if (duplicates.length > 0) {
+            const error = new Error(`Duplicate plugin names:\n${duplicates.join('\n')}`);
+            error.code = 'DUPLICATE_PLUGIN';
+            throw error;
+        }
+
         // Build dependency graph
         const graph = await buildDependencyGraph(pluginModules);
+        const unresolved = resolveDependencies(graph, discoveredPlugins);
+        if (unresolved.length > 0) {
+            throw createUnresolvedDependenciesError(unresolved);
+        }
+        dependencyGraph = graph;
 
-        // Sort plugins topologically based on dependencies
-        const sortedPlugins = topologicalSort(graph);
-
-        // Register plugins in order
-        for (const pluginName of sortedPlugins) {
-            try {
-                const pluginModule = pluginModules[pluginName];
-                const pluginFile = path.join(pluginsDir, `${pluginName}.js`);
+        // Sort plugins topologically based on dependencies, failed and disabled plugins are not registered
+        const sortedPlugins = topologicalSort(graph).filter(pluginName => pluginModules[pluginName]);
 
-                if (fs.existsSync(pluginFile)) {
-                    await this.registerPlugin(pluginName, pluginFile);
-                    console.log(`Registered plugin: ${pluginName}`);
-                } else {
-                    console.error(`Plugin file not found for ${pluginName}`);
-                }
-            } catch (error) {
-                console.error(`Error registering plugin ${pluginName}: ${error.message}`);
-            }
+        // Register plugins level by level, the plugins of a level only depend on the previous levels
+        const concurrency = options.initConcurrency || DEFAULT_INIT_CONCURRENCY;
+        for (const level of groupByLevel(graph, sortedPlugins)) {
+            await runWithConcurrency(level, concurrency, registerDiscoveredPlugin);
         }
 
-        console.log(`Initialized PluginManager with ${sortedPlugins.length} plugins`);
+        const notLoaded = discoveredPlugins.filter(pluginName => pluginInfo[pluginName].status !== PLUGIN_STATUS.LOADED);
+        logger.info(`Initialized PluginManager with ${loadOrder.length} of ${discoveredPlugins.length} plugins in ${Date.now() - initStart}ms`);
+        if (notLoaded.length > 0) {
+            logger.warn(`Running in degraded mode, plugins not loaded: ${notLoaded.map(pluginName => `${pluginName} (${pluginInfo[pluginName].status})`).join(', ')}`);
+        }
+        const slowest = loadOrder
+            .slice()
+            .sort((a, b) => pluginInfo[b].loadDuration - pluginInfo[a].loadDuration)
+            .slice(0, SLOWEST_PLUGINS_REPORTED)
+            .map(pluginName => `${pluginName} (${pluginInfo[pluginName].loadDuration}ms)`);
+        if (slowest.length > 0) {
+            logger.info(`Slowest plugins: ${slowest.join(', ')}`);
+        }
         initialized = true;
+
+        if (options.watch) {
+            this.watch();
+        }
     }
 
     this.isInitialized = () => {
         return initialized;
     }
 
+    /**
+     * @returns {Object} - Time spent registering each registered plugin, in milliseconds, keyed by plugin name
+     */
+    this.getLoadTimes = () => {
+        const loadTimes = {};
+        loadOrder.forEach(pluginName => {
+            loadTimes[pluginName] = pluginInfo[pluginName].loadDuration;
+        });
+        return loadTimes;
+    }
+
+    /**
+     * @returns {Object} - {status, error, rootCause} of every discovered plugin, keyed by plugin name
+     */
+    this.getPluginStatuses = () => {
+        const statuses = {};
+        Object.keys(pluginInfo).forEach(pluginName => {
+            const info = pluginInfo[pluginName];
+            statuses[pluginName] = {
+                status: info.status,
+                error: info.error ? info.error.message : undefined,
+                rootCause: info.rootCause
+            };
+        });
+        return statuses;
+    }
+
     /**
      * Restart all plugins by closing them and reinitializing
      * @param {Object} [envVars] - Optional environment variables to be passed to plugins during reinitialization
      * @returns {Promise<void>}
      */
     this.restart = async (envVars) => {
-        console.log('Starting plugin restart...');
+        logger.info('Starting plugin restart...');
         isRestarting = true;
-        // Shutdown all plugins if they have a shutdown method
-        for (const pluginName of loadOrder) {
-            const plugin = plugins[pluginName];
-            if (typeof plugin.shutdown === 'function') {
+        try {
+            // New commands are answered as restarting, the ones already dispatched finish first
+            await Promise.all(loadOrder.map(drainInFlight));
+            // Shutdown all plugins if they have a shutdown method
+            for (const pluginName of loadOrder) {
+                await shutdownPlugin(pluginName);
+            }
+
+            // Clear the plugins object and load order
+            Object.keys(plugins).forEach(key => delete plugins[key]);
+            Object.keys(pluginInfo).forEach(key => delete pluginInfo[key]);
+            loadOrder = [];
+
+            // Update environment variables if provided
+            if (envVars && typeof envVars === 'object') {
+                Object.assign(process.env, envVars);
+                logger.info('Updated environment variables for plugin restart');
+            }
+
+            // Reinitialize all plugins, init loads and watches the policy again
+            accessPolicy.unwatch();
+            await this.init();
+            logger.info('Plugin restart completed');
+        } finally {
+            isRestarting = false;
+        }
+    }
+
+    this.isRestarting = () => {
+        return isRestarting;
+    }
+
+    /**
+     * Shut the plugins down in reverse load order, stop the watchers and take the result cache out of the ones
+     * $$.invalidateCache reaches, so that the manager can be garbage collected
+     * @returns {Promise<void>}
+     */
+    this.shutdown = async () => {
+        this.unwatch();
+        resultCaches.delete(resultCache);
+        for (const pluginName of [...loadOrder].reverse()) {
+            await shutdownPlugin(pluginName);
+        }
+        if (idempotencyStore) {
+            await idempotencyStore.flush();
+        }
+        logger.info('Plugin manager shut down');
+    }
+
+    /**
+     * Run the healthCheck of a plugin with a time limit. The check may return a boolean,
+     * an object with a status field, or throw.
+     * @param {string} pluginName - Name of the plugin
+     * @param {number} timeout - Time limit in milliseconds
+     * @returns {Promise<Object>} - {status: "healthy" | "unhealthy" | "unregistered", durationMs, details, error}
+     */
+    const checkPluginHealth = async (pluginName, timeout) => {
+        const plugin = plugins[pluginName];
+        if (!plugin) {
+            const info = pluginInfo[pluginName];
+            return { status: info.status || 'unregistered', error: createUnavailableError(pluginName).message };
+        }
+
+        const healthCheck = pluginInfo[pluginName].healthCheck || plugin.healthCheck;
+        if (typeof healthCheck !== 'function') {
+            return { status: 'healthy' };
+        }
+
+        const start = Date.now();
+        let timeoutId;
+        const deadline = new Promise((resolve, reject) => {
+            timeoutId = setTimeout(() => reject(new Error(`Health check timed out after ${timeout}ms`)), timeout);
+        });
+        try {
+            const result = await Promise.race([healthCheck.call(plugin), deadline]);
+            const healthy = result === undefined || result === true || (result && typeof result === 'object' && result.status !== 'unhealthy');
+            return {
+                status: healthy ? 'healthy' : 'unhealthy',
+                durationMs: Date.now() - start,
+                details: result && typeof result === 'object' ? result : undefined
+            };
+        } catch (error) {
+            return { status: 'unhealthy', durationMs: Date.now() - start, error: error.message };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Aggregate the health of every discovered plugin. The manager is ready when it is initialized,
+     * not restarting, and every discovered plugin that is not disabled is registered and healthy.
+     * @param {Object} [healthOptions]
+     * @param {number} [healthOptions.timeout] - Time limit of each plugin healthCheck, in milliseconds
+     * @returns {Promise<Object>} - {ready, initialized, restarting, timestamp, plugins: {[pluginName]: {status, durationMs, details, error}}}
+     */
+    this.checkHealth = async ({ timeout = options.healthCheckTimeout || DEFAULT_HEALTH_CHECK_TIMEOUT } = {}) => {
+        const pluginNames = Object.keys(pluginInfo);
+        const results = await Promise.all(pluginNames.map(pluginName => checkPluginHealth(pluginName, timeout)));
+        const health = {
+            ready: false,
+            initialized,
+            restarting: isRestarting,
+            timestamp: Date.now(),
+            plugins: {}
+        };
+        pluginNames.forEach((pluginName, index) => {
+            health.plugins[pluginName] = results[index];
+        });
+        health.ready = initialized && !isRestarting && results.every(result => {
+            return result.status === 'healthy' || result.status === PLUGIN_STATUS.DISABLED;
+        });
+        return health;
+    }
+
+    /**
+     * Call the shutdown method of a registered plugin, if it has one
+     * @param {string} pluginName - Name of the plugin
+     * @returns {Promise<void>}
+     */
+    const shutdownPlugin = async (pluginName) => {
+        const plugin = plugins[pluginName];
+        if (plugin && typeof plugin.shutdown === 'function') {
+            try {
+                await plugin.shutdown();
+                logger.info(`Shutdown plugin: ${pluginName}`);
+            } catch (error) {
+                logger.error(`Error shutting down plugin ${pluginName}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Collect the given plugins and every plugin that transitively depends on them
+     * @param {Array<string>} pluginNames - Names of the plugins
+     * @returns {Set<string>} - The plugins together with their dependents
+     */
+    const collectDependents = (pluginNames) => {
+        const affected = new Set(pluginNames);
+        let grown = true;
+        while (grown) {
+            grown = false;
+            Object.keys(dependencyGraph).forEach(candidate => {
+                if (!affected.has(candidate) && dependencyGraph[candidate].some(dependency => affected.has(dependency))) {
+                    affected.add(candidate);
+                    grown = true;
+                }
+            });
+        }
+        return affected;
+    }
+
+    /**
+     * Shut down the given plugins and their dependents in reverse dependency order, then register them
+     * again in topological order. Commands sent to these plugins meanwhile wait for the swap to finish.
+     * Plugins outside that set keep serving commands.
+     * @param {Array<string>} pluginNames - Names of the plugins to reload
+     * @param {Object} [reloadOptions]
+     * @param {boolean} [reloadOptions.reloadModules=false] - Clear the require cache so the plugin code is read again
+     * @param {boolean} [reloadOptions.cascade=true] - Also reload the plugins that depend on the given ones
+     * @returns {Promise<Array<string>>} - The plugins that were reloaded, in registration order
+     */
+    const reloadPlugins = async (pluginNames, { reloadModules = false, cascade = true } = {}) => {
+        const affected = cascade ? collectDependents(pluginNames) : new Set(pluginNames);
+        let finishSwap;
+        const swap = new Promise(resolve => finishSwap = resolve);
+        affected.forEach(pluginName => reloadingPlugins.set(pluginName, swap));
+
+        try {
+            // New commands wait for the swap, the ones already dispatched finish on the old instances
+            await Promise.all([...affected].map(drainInFlight));
+            const shutdownOrder = loadOrder.filter(pluginName => affected.has(pluginName)).reverse();
+            for (const pluginName of shutdownOrder) {
+                await shutdownPlugin(pluginName);
+                delete plugins[pluginName];
+            }
+            loadOrder = loadOrder.filter(pluginName => !affected.has(pluginName));
+
+            const affectedModules = {};
+            for (const pluginName of affected) {
+                const pluginFile = pluginInfo[pluginName] && pluginInfo[pluginName].path;
+                if (!pluginFile) {
+                    logger.error(`Plugin file not found for ${pluginName}`);
+                    continue;
+                }
+                if (pluginInfo[pluginName].status === PLUGIN_STATUS.DISABLED) {
+                    continue;
+                }
                 try {
-                    await plugin.shutdown();
-                    console.log(`Shutdown plugin: ${pluginName}`);
+                    if (reloadModules) {
+                        forgetPluginModule(pluginInfo[pluginName]);
+                    }
+                    affectedModules[pluginName] = await loadPluginModule(pluginFile);
+                    // Clear the outcome of the previous attempt, registration records the new one
+                    setPluginStatus(pluginName, undefined);
                 } catch (error) {
-                    console.error(`Error shutting down plugin ${pluginName}: ${error.message}`);
+                    setPluginStatus(pluginName, PLUGIN_STATUS.FAILED, error, pluginName);
+                    logger.error(`Error loading plugin from ${pluginFile}: ${error.message}`);
                 }
             }
+
+            // Dependencies may have changed together with the plugin code
+            const graph = await buildDependencyGraph(affectedModules);
+            const unresolved = resolveDependencies(graph, Object.keys(pluginInfo));
+            if (unresolved.length > 0) {
+                const error = createUnresolvedDependenciesError(unresolved);
+                logger.error(error.message);
+                unresolved.forEach(edge => setPluginStatus(edge.pluginName, PLUGIN_STATUS.FAILED, error, edge.pluginName));
+            }
+            Object.assign(dependencyGraph, graph);
+
+            const registrationOrder = topologicalSort(graph).filter(pluginName => affectedModules[pluginName]);
+            for (const pluginName of registrationOrder) {
+                await registerDiscoveredPlugin(pluginName);
+            }
+            return registrationOrder.filter(pluginName => pluginInfo[pluginName].status === PLUGIN_STATUS.LOADED);
+        } finally {
+            affected.forEach(pluginName => reloadingPlugins.delete(pluginName));
+            finishSwap();
         }
+    }
 
-        // Clear the plugins object and load order
-        Object.keys(plugins).forEach(key => delete plugins[key]);
-        loadOrder = [];
+    /**
+     * Queue a reload so that concurrent reloads never interleave
+     */
+    const enqueueReload = (pluginNames, reloadOptions) => {
+        const reload = reloadQueue.then(() => reloadPlugins(pluginNames, reloadOptions));
+        reloadQueue = reload.catch(() => { });
+        return reload;
+    }
 
-        // Update environment variables if provided
-        if (envVars && typeof envVars === 'object') {
-            Object.assign(process.env, envVars);
-            console.log('Updated environment variables for plugin restart');
+    const findPluginByFile = (changedFile) => {
+        return Object.keys(pluginInfo).find(name => {
+            const root = pluginInfo[name].root || pluginInfo[name].path;
+            return changedFile === root || changedFile.startsWith(root + path.sep);
+        });
+    }
+
+    const onPluginChanged = (pluginName) => {
+        logger.info(`Files of plugin ${pluginName} changed, reloading it and its dependents`);
+        enqueueReload([pluginName], { reloadModules: true }).catch(error => {
+            logger.error(`Error reloading plugin ${pluginName}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Restart a single plugin without touching the plugins that do not depend on it
+     * @param {string} pluginName - Name of the plugin to restart
+     * @param {Object} [restartOptions]
+     * @param {boolean} [restartOptions.cascade=true] - Also restart every plugin that transitively depends on it
+     * @returns {Promise<Array<string>>} - The plugins that were restarted, in registration order
+     */
+    this.restartPlugin = async (pluginName, { cascade = true } = {}) => {
+        if (!pluginInfo[pluginName]) {
+            throw new NotFoundError(`Plugin ${pluginName} not found`, { code: 'PLUGIN_NOT_FOUND' });
         }
+        logger.info(`Restarting plugin ${pluginName}${cascade ? ' and its dependents' : ''}`);
+        return await enqueueReload([pluginName], { cascade });
+    }
 
-        // Reinitialize all plugins
-        await this.init();
-        console.log('Plugin restart completed');
-        isRestarting = false;
+    /**
+     * Start watching the plugins folder and hot reload the plugins whose files change
+     */
+    this.watch = () => {
+        if (watcher) {
+            return;
+        }
+        const pluginsDir = path.join(this.rootFolder, 'plugins');
+        if (!fs.existsSync(pluginsDir)) {
+            logger.warn(`Cannot watch plugins, directory not found at ${pluginsDir}`);
+            return;
+        }
+
+        const pendingChanges = new Map();
+        const onChange = (eventType, filename) => {
+            if (!filename) {
+                return;
+            }
+            const changedFile = path.join(pluginsDir, filename.toString());
+            const pluginName = findPluginByFile(changedFile);
+            if (!pluginName) {
+                logger.info(`Ignoring change of ${changedFile}, it is not part of a known plugin. Restart to load new plugins.`);
+                return;
+            }
+            // Editors usually emit several events per save, only react to the last one
+            clearTimeout(pendingChanges.get(pluginName));
+            pendingChanges.set(pluginName, setTimeout(() => {
+                pendingChanges.delete(pluginName);
+                onPluginChanged(pluginName);
+            }, WATCH_DEBOUNCE_INTERVAL));
+        };
+        try {
+            // Plugin folders need a recursive watch, which older Node versions do not support on every platform
+            watcher = fs.watch(pluginsDir, { recursive: true }, onChange);
+        } catch (error) {
+            logger.warn(`Recursive watch is not available (${error.message}), only changes of flat plugin files will be detected`);
+            watcher = fs.watch(pluginsDir, onChange);
+        }
+        watcher.on('error', (error) => {
+            logger.error(`Error watching plugins directory ${pluginsDir}: ${error.message}`);
+        });
+        watcher.on('close', () => {
+            pendingChanges.forEach(timeout => clearTimeout(timeout));
+            pendingChanges.clear();
+        });
+        logger.info(`Watching ${pluginsDir} for plugin changes`);
     }
 
-    this.isRestarting = () => {
-        return isRestarting;
+    /**
+     * Stop watching the plugins folder and the access policy file
+     */
+    this.unwatch = () => {
+        if (watcher) {
+            watcher.close();
+            watcher = null;
+        }
+        accessPolicy.unwatch();
     }
 
     this.getPublicMethods = (pluginName) => {
         const plugin = plugins[pluginName];
         if (!plugin) {
-            throw new Error(`Plugin ${pluginName} not found`);
+            throw new NotFoundError(`Plugin ${pluginName} not found`, { code: 'PLUGIN_NOT_FOUND' });
         }
         if (typeof plugin.getPublicMethods !== 'function') {
             return [];
@@ -357,6 +1719,104 @@ function PluginManager(rootFolder) {
         return plugin.getPublicMethods();
     }
 
+    /**
+     * Names of the methods a registered plugin exposes, from getPublicMethods and the method schemas
+     * @param {string} pluginName - Name of the plugin
+     * @returns {Promise<Array<string>>}
+     */
+    const getPublicMethodNames = async (pluginName) => {
+        const plugin = plugins[pluginName];
+        if (!plugin) {
+            return [];
+        }
+        let publicMethods = [];
+        if (typeof plugin.getPublicMethods === 'function') {
+            publicMethods = (await plugin.getPublicMethods()) || [];
+        }
+        const methodNames = publicMethods
+            .map(method => typeof method === 'string' ? method : method && method.name)
+            .filter(Boolean)
+            .concat(Object.keys(pluginInfo[pluginName].schemas || {}));
+        return [...new Set(methodNames)];
+    }
+
+    /**
+     * Build the inventory entry of a discovered plugin
+     * @param {string} pluginName - Name of the plugin
+     * @returns {Promise<Object>}
+     */
+    const getInventoryEntry = async (pluginName) => {
+        const info = pluginInfo[pluginName];
+        const loadOrderIndex = loadOrder.indexOf(pluginName);
+        return {
+            name: pluginName,
+            path: info.path,
+            version: info.version,
+            status: info.status,
+            loadOrder: loadOrderIndex === -1 ? undefined : loadOrderIndex,
+            loadDuration: info.loadDuration,
+            dependencies: info.dependencies || [],
+            dependents: Object.keys(dependencyGraph).filter(candidate => dependencyGraph[candidate].includes(pluginName)),
+            error: info.error ? info.error.message : undefined,
+            rootCause: info.rootCause,
+            methods: await getPublicMethodNames(pluginName)
+        };
+    }
+
+    /**
+     * List every discovered plugin with its status, load order and timing, dependencies, dependents,
+     * last error and public methods
+     * @returns {Promise<Array<Object>>}
+     */
+    this.listPlugins = async () => {
+        const inventory = [];
+        for (const pluginName of Object.keys(pluginInfo)) {
+            inventory.push(await getInventoryEntry(pluginName));
+        }
+        return inventory;
+    }
+
+    /**
+     * Get the inventory entry of one discovered plugin
+     * @param {string} pluginName - Name of the plugin
+     * @returns {Promise<Object>}
+     */
+    this.getPluginDetails = async (pluginName) => {
+        if (!pluginInfo[pluginName]) {
+            throw new NotFoundError(`Plugin ${pluginName} not found`, { code: 'PLUGIN_NOT_FOUND' });
+        }
+        return await getInventoryEntry(pluginName);
+    }
+
+    /**
+     * Build a compact, machine-readable description of every registered plugin
+     * @returns {Promise<Object>} - {plugins: {[pluginName]: {version, dependencies, methods: {[methodName]: {operationType, params, returns, description}}}}}
+     */
+    this.describe = async () => {
+        const description = { plugins: {} };
+        for (const pluginName of loadOrder) {
+            const schemas = pluginInfo[pluginName].schemas || {};
+            const methods = {};
+
+            (await getPublicMethodNames(pluginName)).forEach(methodName => {
+                const schema = schemas[methodName] || {};
+                methods[methodName] = {
+                    operationType: schema.operationType || 'sync',
+                    params: schema.params,
+                    returns: schema.returns,
+                    description: schema.description
+                };
+            });
+
+            description.plugins[pluginName] = {
+                version: pluginInfo[pluginName].version,
+                dependencies: pluginInfo[pluginName].dependencies || [],
+                methods
+            };
+        }
+        return description;
+    }
+
     if (typeof globalThis.$$ === "undefined") {
         globalThis.$$ = {};
     }
@@ -367,7 +1827,7 @@ function PluginManager(rootFolder) {
                 error = new Error(error + " " + args.join(" "));
             }
             let errStr = args.join(" ");
-            console.debug("Throwing err:", error, errStr);
+            logger.debug("Throwing err:", error, errStr);
             throw error;
         }
 
@@ -377,6 +1837,10 @@ function PluginManager(rootFolder) {
         $$.throwError = throwError;
     }
 
+    if (typeof globalThis.$$.errors === "undefined") {
+        globalThis.$$.errors = errors;
+    }
+
     if (typeof globalThis.$$.registerPlugin === "undefined") {
         globalThis.$$.registerPlugin = this.registerPlugin;
     }
@@ -389,6 +1853,31 @@ function PluginManager(rootFolder) {
         globalThis.$$.loadPlugin = loadPlugin;
     }
 
+    if (typeof globalThis.$$.getCommandContext === "undefined") {
+        globalThis.$$.getCommandContext = CommandContext.get;
+    }
+
+    if (typeof globalThis.$$.getLogger === "undefined") {
+        globalThis.$$.getLogger = Logger.getLogger;
+    }
+
+    if (typeof globalThis.$$.invalidateCache === "undefined") {
+        // Without a pluginName, a method name is taken as a method of the plugin running the current command
+        function invalidateCache({ pluginName, name, tag } = {}) {
+            const context = CommandContext.get();
+            if (!pluginName && name && context) {
+                pluginName = context.pluginName;
+            }
+            let dropped = 0;
+            resultCaches.forEach(cache => {
+                dropped += cache.invalidate({ pluginName, name, tag });
+            });
+            return dropped;
+        }
+
+        globalThis.$$.invalidateCache = invalidateCache;
+    }
+
     if (typeof globalThis.$$.createObservableResponse === "undefined") {
         function createObservableResponse() {
             return new ObservableResponse();
@@ -0,0 +1,171 @@
+/**
+ * Token-bucket rate limits and concurrency quotas for plugin commands.
+ *
+ * A rule looks like {pluginName, name, by, rate, interval, burst, maxConcurrent}:
+ * - pluginName and name restrict the rule to a plugin and a method, every command matches when they are omitted.
+ * - by lists the command fields that get a separate quota: "pluginName", "name", "forWhom" and "email".
+ *   Without it all the matching commands share one quota.
+ * - rate tokens are added every interval milliseconds (1000 by default), up to burst tokens (rate by default).
+ *   Each command takes one token.
+ * - maxConcurrent limits how many matching commands run at the same time.
+ */
+
+const { ServerlessError } = require('./errors');
+
+const DEFAULT_INTERVAL = 1000;
+// Retry hint for commands rejected by a concurrency quota, which frees up at an unknown time
+const CONCURRENCY_RETRY_AFTER = 1000;
+// Idle buckets and counters are dropped after this many acquisitions
+const PRUNE_EVERY = 1000;
+const KEY_FIELDS = ['pluginName', 'name', 'forWhom', 'email'];
+
+/**
+ * Check that a rule only uses supported fields and values
+ * @param {Object} rule - The rule to check
+ * @throws {Error} - If the rule is not valid
+ */
+const validateRule = (rule) => {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error('Invalid rate limit: rule must be an object');
+    }
+    const by = rule.by || [];
+    if (!Array.isArray(by) || by.some(field => !KEY_FIELDS.includes(field))) {
+        throw new Error(`Invalid rate limit: "by" must be a list of ${KEY_FIELDS.join(', ')}`);
+    }
+    if (typeof rule.rate === 'undefined' && typeof rule.maxConcurrent === 'undefined') {
+        throw new Error('Invalid rate limit: a rule needs "rate" or "maxConcurrent"');
+    }
+    ['rate', 'interval', 'burst', 'maxConcurrent'].forEach(field => {
+        if (typeof rule[field] !== 'undefined' && !(typeof rule[field] === 'number' && rule[field] > 0)) {
+            throw new Error(`Invalid rate limit: "${field}" must be a positive number`);
+        }
+    });
+}
+
+function RateLimiter(rules = []) {
+    // Rules from the configuration, then the rules each plugin declares, keyed by plugin name
+    let globalRules = [];
+    const pluginRules = {};
+    const buckets = new Map();
+    const running = new Map();
+    let acquisitions = 0;
+
+    /**
+     * Replace the rules from the configuration
+     * @param {Array<Object>} newRules - Rate limit rules
+     */
+    this.setRules = (newRules = []) => {
+        newRules.forEach(validateRule);
+        globalRules = newRules.map((rule, index) => ({ ...rule, id: `config#${index}` }));
+    }
+
+    /**
+     * Replace the rules a plugin declares for its own methods
+     * @param {string} pluginName - Name of the plugin
+     * @param {Array<Object>} [newRules] - Rate limit rules, the pluginName of each rule is forced to the plugin
+     */
+    this.setPluginRules = (pluginName, newRules = []) => {
+        newRules.forEach(validateRule);
+        pluginRules[pluginName] = newRules.map((rule, index) => ({ ...rule, pluginName, id: `${pluginName}#${index}` }));
+    }
+
+    const getMatchingRules = (command) => {
+        return globalRules.concat(pluginRules[command.pluginName] || []).filter(rule => {
+            return (!rule.pluginName || rule.pluginName === command.pluginName) && (!rule.name || rule.name === command.name);
+        });
+    }
+
+    const getKey = (rule, command) => {
+        return [rule.id].concat((rule.by || []).map(field => `${field}=${command[field]}`)).join('|');
+    }
+
+    const refill = (rule, key, now) => {
+        const burst = rule.burst || rule.rate;
+        const interval = rule.interval || DEFAULT_INTERVAL;
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: burst, updatedAt: now, fullAt: now };
+            buckets.set(key, bucket);
+        }
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * rule.rate / interval);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    const prune = (now) => {
+        buckets.forEach((bucket, key) => {
+            if (bucket.fullAt <= now) {
+                buckets.delete(key);
+            }
+        });
+        running.forEach((count, key) => {
+            if (count === 0) {
+                running.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Take a token and a concurrency slot from every rule matching the command, or none of them
+     * @param {Object} command - {pluginName, name, forWhom, email}
+     * @returns {Function} - Call it when the command is done to free the concurrency slots
+     * @throws {Error} - With statusCode 429, code RATE_LIMITED and retryAfter in seconds when a quota is exceeded
+     */
+    this.acquire = (command) => {
+        const now = Date.now();
+        if (++acquisitions % PRUNE_EVERY === 0) {
+            prune(now);
+        }
+
+        const rules = getMatchingRules(command);
+        let retryAfter = 0;
+        const bucketsToUse = [];
+        const slotsToUse = [];
+        rules.forEach(rule => {
+            const key = getKey(rule, command);
+            if (rule.rate) {
+                const bucket = refill(rule, key, now);
+                if (bucket.tokens < 1) {
+                    const interval = rule.interval || DEFAULT_INTERVAL;
+                    retryAfter = Math.max(retryAfter, (1 - bucket.tokens) * interval / rule.rate);
+                } else {
+                    bucketsToUse.push({ rule, bucket });
+                }
+            }
+            if (rule.maxConcurrent) {
+                if ((running.get(key) || 0) >= rule.maxConcurrent) {
+                    retryAfter = Math.max(retryAfter, CONCURRENCY_RETRY_AFTER);
+                } else {
+                    slotsToUse.push(key);
+                }
+            }
+        });
+
+        if (retryAfter > 0) {
+            const error = new ServerlessError(`Too many requests for ${command.pluginName}.${command.name}, retry in ${Math.ceil(retryAfter / 1000)}s`, { statusCode: 429, code: 'RATE_LIMITED' });
+            error.retryAfter = Math.ceil(retryAfter / 1000);
+            throw error;
+        }
+
+        bucketsToUse.forEach(({ rule, bucket }) => {
+            const burst = rule.burst || rule.rate;
+            const interval = rule.interval || DEFAULT_INTERVAL;
+            bucket.tokens -= 1;
+            bucket.fullAt = now + (burst - bucket.tokens) * interval / rule.rate;
+        });
+        slotsToUse.forEach(key => running.set(key, (running.get(key) || 0) + 1));
+
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            slotsToUse.forEach(key => running.set(key, running.get(key) - 1));
+        };
+    }
+
+    this.setRules(rules);
+}
+
+module.exports = RateLimiter;
@@ -1,5 +1,9 @@
+const logger = require('./Logger').getLogger('ResponseCleanupRegistry');
+
 function ResponseCleanupRegistry() {
     const cleanupCallbacks = new Map();
+    // Type of the response behind each callId, e.g. SlowResponse, used to report active responses by type
+    const responseTypes = new Map();
 
     this.registerCleanupCallback = (callId, callback) => {
         if (!cleanupCallbacks.has(callId)) {
@@ -15,15 +19,25 @@ function ResponseCleanupRegistry() {
                 try {
                     callback();
                 } catch (error) {
-                    console.error(`Error executing cleanup callback for callId ${callId}:`, error);
+                    logger.error(`Error executing cleanup callback for callId ${callId}:`, error);
                 }
             });
             cleanupCallbacks.delete(callId);
         }
+        responseTypes.delete(callId);
     };
 
     this.removeCleanupCallbacks = (callId) => {
         cleanupCallbacks.delete(callId);
+        responseTypes.delete(callId);
+    };
+
+    this.registerResponseType = (callId, type) => {
+        responseTypes.set(callId, type);
+    };
+
+    this.getResponseType = (callId) => {
+        return responseTypes.get(callId);
     };
 
     this.getActiveCallIds = () => {
@@ -0,0 +1,96 @@
+/**
+ * LRU cache of plugin method results. Every entry remembers its plugin, method and tags so that plugins can drop
+ * the results made stale by a write, by method or by tag.
+ *
+ * Values are copied with structuredClone when stored and when served, so callers cannot change a cached result.
+ */
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=1000] - Entries kept, the least recently used are dropped first
+ */
+function ResultCache(options = {}) {
+    const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    // Map iteration follows insertion order, entries are re-inserted when used so the first one is the least recent
+    const entries = new Map();
+    // Incremented by every invalidation, so results computed before it are not stored after it
+    let generation = 0;
+
+    /**
+     * @returns {number} - Pass it to set() to ignore results computed before a later invalidation
+     */
+    this.getGeneration = () => {
+        return generation;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Object} - {hit, value}
+     */
+    this.get = (key) => {
+        const entry = entries.get(key);
+        if (!entry) {
+            return { hit: false };
+        }
+        entries.delete(key);
+        if (entry.expiresAt <= Date.now()) {
+            return { hit: false };
+        }
+        entries.set(key, entry);
+        return { hit: true, value: structuredClone(entry.value) };
+    }
+
+    /**
+     * Store a result. Values that cannot be cloned, e.g. holding functions, are not stored.
+     * @param {string} key
+     * @param {*} value
+     * @param {Object} metadata - {ttl, pluginName, name, tags, generation}
+     * @returns {boolean} - Whether the value was stored
+     */
+    this.set = (key, value, { ttl, pluginName, name, tags = [], generation: computedAt = generation }) => {
+        if (computedAt !== generation) {
+            return false;
+        }
+        let copy;
+        try {
+            copy = structuredClone(value);
+        } catch (error) {
+            return false;
+        }
+        entries.delete(key);
+        entries.set(key, { value: copy, expiresAt: Date.now() + ttl, pluginName, name, tags });
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+        return true;
+    }
+
+    /**
+     * Drop the entries matching every given filter
+     * @param {Object} filters
+     * @param {string} [filters.pluginName] - Entries of this plugin
+     * @param {string} [filters.name] - Entries of this method
+     * @param {string} [filters.tag] - Entries stored with this tag
+     * @returns {number} - Number of dropped entries
+     */
+    this.invalidate = ({ pluginName, name, tag } = {}) => {
+        generation++;
+        let dropped = 0;
+        for (const [key, entry] of entries) {
+            if ((pluginName && entry.pluginName !== pluginName) || (name && entry.name !== name) || (tag && !entry.tags.includes(tag))) {
+                continue;
+            }
+            entries.delete(key);
+            dropped++;
+        }
+        return dropped;
+    }
+
+    this.size = () => {
+        return entries.size;
+    }
+}
+
+module.exports = ResultCache;
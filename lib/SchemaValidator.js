@@ -0,0 +1,172 @@
+/**
+ * Validates values against the JSON-Schema subset that plugins use to describe their methods.
+ *
+ * Supported keywords: type (string or array of types), enum, const, properties, required,
+ * additionalProperties (boolean or schema), items, minItems, maxItems, minLength, maxLength,
+ * pattern, minimum, maximum, anyOf.
+ *
+ * A method schema has the shape {params: [schema, ...], returns: schema}. Each parameter schema may
+ * carry a "name" used in error reports and "optional: true" to allow the argument to be omitted.
+ */
+
+const getType = (value) => {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+const matchesType = (value, type) => {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && !Number.isNaN(value);
+        case 'any':
+            return true;
+        default:
+            return getType(value) === type;
+    }
+}
+
+const isEqual = (a, b) => {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema in the supported JSON-Schema subset
+ * @param {*} value - Value to validate
+ * @param {string} [field] - Path of the value, used in the failure report
+ * @returns {Array<{field: string, message: string}>} - Failures, empty if the value is valid
+ */
+const validate = (schema, value, field = 'value') => {
+    const failures = [];
+    if (!schema || typeof schema !== 'object') {
+        return failures;
+    }
+
+    const fail = (message) => {
+        failures.push({ field, message });
+        return failures;
+    }
+
+    if (typeof schema.type !== 'undefined') {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return fail(`must be of type ${types.join(' or ')}, got ${getType(value)}`);
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => isEqual(option, value))) {
+        return fail(`must be one of ${JSON.stringify(schema.enum)}`);
+    }
+
+    if (typeof schema.const !== 'undefined' && !isEqual(schema.const, value)) {
+        return fail(`must be equal to ${JSON.stringify(schema.const)}`);
+    }
+
+    if (Array.isArray(schema.anyOf)) {
+        const matchesAny = schema.anyOf.some(option => validate(option, value, field).length === 0);
+        if (!matchesAny) {
+            return fail('does not match any of the allowed schemas');
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+            fail(`must have at least ${schema.minLength} characters`);
+        }
+        if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+            fail(`must have at most ${schema.maxLength} characters`);
+        }
+        if (typeof schema.pattern === 'string' && !new RegExp(schema.pattern).test(value)) {
+            fail(`must match pattern ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            fail(`must be >= ${schema.minimum}`);
+        }
+        if (typeof schema.maximum === 'number' && value > schema.maximum) {
+            fail(`must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} items`);
+        }
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items && typeof schema.items === 'object') {
+            value.forEach((item, index) => {
+                failures.push(...validate(schema.items, item, `${field}[${index}]`));
+            });
+        }
+    }
+
+    if (getType(value) === 'object') {
+        const properties = schema.properties || {};
+        if (Array.isArray(schema.required)) {
+            schema.required.forEach(property => {
+                if (typeof value[property] === 'undefined') {
+                    failures.push({ field: `${field}.${property}`, message: 'is required' });
+                }
+            });
+        }
+        Object.keys(value).forEach(property => {
+            const propertyField = `${field}.${property}`;
+            if (properties[property]) {
+                failures.push(...validate(properties[property], value[property], propertyField));
+            } else if (schema.additionalProperties === false) {
+                failures.push({ field: propertyField, message: 'is not allowed' });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                failures.push(...validate(schema.additionalProperties, value[property], propertyField));
+            }
+        });
+    }
+
+    return failures;
+}
+
+/**
+ * Validate the positional arguments of a method call against the method schema
+ * @param {Object} methodSchema - {params: [schema, ...], returns: schema}
+ * @param {Array} args - Arguments of the call
+ * @returns {Array<{field: string, message: string}>} - Failures, empty if the arguments are valid
+ */
+const validateArguments = (methodSchema, args) => {
+    const failures = [];
+    if (!methodSchema || !Array.isArray(methodSchema.params)) {
+        return failures;
+    }
+
+    const params = methodSchema.params;
+    params.forEach((paramSchema, index) => {
+        const field = paramSchema.name || `args[${index}]`;
+        if (typeof args[index] === 'undefined') {
+            if (!paramSchema.optional) {
+                failures.push({ field, message: 'is required' });
+            }
+            return;
+        }
+        failures.push(...validate(paramSchema, args[index], field));
+    });
+
+    for (let index = params.length; index < args.length; index++) {
+        failures.push({ field: `args[${index}]`, message: `is not expected, the method takes at most ${params.length} arguments` });
+    }
+
+    return failures;
+}
+
+module.exports = {
+    validate,
+    validateArguments
+};
@@ -0,0 +1,249 @@
+/**
+ * Turns the compact plugin description built by PluginManager.describe() into an OpenAPI 3 document.
+ * Every plugin method is reached through PUT {urlPrefix}/executeCommand, so each method becomes one
+ * alternative of the executeCommand request body and gets its own command/result component schemas.
+ */
+
+const OPENAPI_VERSION = '3.1.0';
+
+// Keys that only make sense for the argument validator and are not part of JSON Schema
+const NON_SCHEMA_KEYS = ['name', 'optional'];
+
+/**
+ * Strip validator specific keys so the schema can be embedded in an OpenAPI document
+ * @param {Object} schema - Schema in the JSON-Schema subset accepted by SchemaValidator
+ * @returns {Object} - Plain JSON Schema
+ */
+const toJsonSchema = (schema) => {
+    if (!schema || typeof schema !== 'object') {
+        return {};
+    }
+    if (Array.isArray(schema)) {
+        return schema.map(toJsonSchema);
+    }
+
+    const jsonSchema = {};
+    Object.keys(schema).forEach(key => {
+        if (NON_SCHEMA_KEYS.includes(key)) {
+            return;
+        }
+        const value = schema[key];
+        if (key === 'type' && value === 'any') {
+            return;
+        }
+        if (key === 'properties') {
+            jsonSchema.properties = {};
+            Object.keys(value).forEach(property => {
+                jsonSchema.properties[property] = toJsonSchema(value[property]);
+            });
+            return;
+        }
+        if (['items', 'additionalProperties', 'anyOf'].includes(key) && typeof value === 'object') {
+            jsonSchema[key] = toJsonSchema(value);
+            return;
+        }
+        jsonSchema[key] = value;
+    });
+    if (schema.name && !jsonSchema.title) {
+        jsonSchema.title = schema.name;
+    }
+    return jsonSchema;
+}
+
+const getComponentName = (pluginName, methodName, suffix) => {
+    return `${pluginName}.${methodName}.${suffix}`;
+}
+
+const buildArgsSchema = (method) => {
+    if (!Array.isArray(method.params)) {
+        return { type: 'array' };
+    }
+    const requiredCount = method.params.filter(param => !param.optional).length;
+    return {
+        type: 'array',
+        prefixItems: method.params.map(toJsonSchema),
+        minItems: requiredCount,
+        maxItems: method.params.length
+    };
+}
+
+const buildCommandSchema = (pluginName, methodName, method) => {
+    return {
+        type: 'object',
+        required: ['pluginName', 'name', 'args'],
+        properties: {
+            pluginName: { const: pluginName },
+            name: { const: methodName },
+            forWhom: { type: 'string' },
+            args: buildArgsSchema(method),
+            options: { type: 'object' }
+        },
+        description: method.description
+    };
+}
+
+const buildResultSchema = (method) => {
+    const operationType = method.operationType || 'sync';
+    const result = operationType === 'sync'
+        ? toJsonSchema(method.returns)
+        : { type: 'string', description: 'callId used to follow the response through the webhook service' };
+    return {
+        type: 'object',
+        properties: {
+            statusCode: { type: 'integer' },
+            operationType: { const: operationType },
+            result
+        }
+    };
+}
+
+const envelopeSchema = (resultSchema) => {
+    return {
+        type: 'object',
+        properties: {
+            statusCode: { type: 'integer' },
+            result: resultSchema || {}
+        }
+    };
+}
+
+const jsonResponse = (description, schema) => {
+    return {
+        description,
+        content: {
+            'application/json': { schema }
+        }
+    };
+}
+
+/**
+ * Build an OpenAPI 3 document from a compact service descriptor
+ * @param {Object} descriptor - Result of PluginManager.describe()
+ * @param {Object} [options]
+ * @param {string} [options.urlPrefix=""] - Prefix under which the serverless API is mounted, e.g. "/myapi"
+ * @param {string} [options.title] - Title of the API
+ * @param {string} [options.version="1.0.0"] - Version of the API document
+ * @returns {Object} - OpenAPI document
+ */
+const toOpenAPI = (descriptor, { urlPrefix = '', title, version = '1.0.0' } = {}) => {
+    const schemas = {};
+    const commandRefs = [];
+    const resultRefs = [];
+
+    Object.keys(descriptor.plugins).forEach(pluginName => {
+        const plugin = descriptor.plugins[pluginName];
+        Object.keys(plugin.methods).forEach(methodName => {
+            const method = plugin.methods[methodName];
+            const commandName = getComponentName(pluginName, methodName, 'Command');
+            const resultName = getComponentName(pluginName, methodName, 'Result');
+            schemas[commandName] = buildCommandSchema(pluginName, methodName, method);
+            schemas[resultName] = buildResultSchema(method);
+            commandRefs.push({ $ref: `#/components/schemas/${commandName}` });
+            resultRefs.push({ $ref: `#/components/schemas/${resultName}` });
+        });
+    });
+
+    const errorSchema = {
+        type: 'object',
+        properties: {
+            statusCode: { type: 'integer' },
+            result: {
+                type: 'object',
+                properties: {
+                    message: { type: 'string' },
+                    code: { type: 'string', description: 'Stable error code, INTERNAL_ERROR for unexpected errors' },
+                    details: { type: 'array' },
+                    retryAfter: { type: 'integer', description: 'Seconds to wait before retrying a rate limited command' },
+                    rootCause: { type: 'string', description: 'Plugin whose failure makes the target plugin unavailable' },
+                    stack: { type: 'string', description: 'Only sent in development mode' }
+                }
+            }
+        }
+    };
+    schemas.Error = errorSchema;
+    const errorRef = { $ref: '#/components/schemas/Error' };
+
+    const commandSchema = commandRefs.length ? { oneOf: commandRefs } : { type: 'object' };
+    const resultSchema = resultRefs.length ? { oneOf: resultRefs } : { type: 'object' };
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: title || `Serverless API ${urlPrefix}`.trim(),
+            version
+        },
+        paths: {
+            [`${urlPrefix}/executeCommand`]: {
+                put: {
+                    operationId: 'executeCommand',
+                    summary: 'Execute a plugin method',
+                    requestBody: {
+                        required: true,
+                        content: { 'application/json': { schema: commandSchema } }
+                    },
+                    responses: {
+                        200: jsonResponse('Result of the plugin method', resultSchema),
+                        default: jsonResponse('Error', errorRef)
+                    }
+                }
+            },
+            [`${urlPrefix}/executeBatch`]: {
+                put: {
+                    operationId: 'executeBatch',
+                    summary: 'Execute several plugin methods in one request',
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['commands'],
+                                    properties: {
+                                        commands: { type: 'array', items: commandSchema },
+                                        mode: { enum: ['sequential', 'parallel'] }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: jsonResponse('One envelope per command', envelopeSchema({
+                            type: 'array',
+                            items: { anyOf: [resultSchema, errorRef] }
+                        })),
+                        default: jsonResponse('Error', errorRef)
+                    }
+                }
+            },
+            [`${urlPrefix}/getPublicMethods/{pluginName}`]: {
+                get: {
+                    operationId: 'getPublicMethods',
+                    parameters: [{ name: 'pluginName', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: {
+                        200: jsonResponse('Public methods of the plugin', envelopeSchema({ type: 'array' })),
+                        404: jsonResponse('Plugin not found', envelopeSchema({ type: 'string' }))
+                    }
+                }
+            },
+            [`${urlPrefix}/describe`]: {
+                get: {
+                    operationId: 'describe',
+                    responses: {
+                        200: jsonResponse('Service descriptor', envelopeSchema({ type: 'object' }))
+                    }
+                }
+            }
+        },
+        components: { schemas },
+        'x-plugins': Object.keys(descriptor.plugins).reduce((result, pluginName) => {
+            const plugin = descriptor.plugins[pluginName];
+            result[pluginName] = { version: plugin.version, dependencies: plugin.dependencies };
+            return result;
+        }, {})
+    };
+}
+
+module.exports = {
+    toJsonSchema,
+    toOpenAPI
+};
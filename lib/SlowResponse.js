@@ -9,7 +9,7 @@ function SlowResponse() {
     this.progress = async (progressData) => {
         if (isCompleted) {
             if (process.env.WEBHOOK_DEBUG === 'true') {
-                console.warn(`SlowResponse with callId ${this.callId} already completed, ignoring progress update`);
+                this.logger.warn(`SlowResponse with callId ${this.callId} already completed, ignoring progress update`);
             }
             return;
         }
@@ -20,7 +20,7 @@ function SlowResponse() {
                 progress: progressData
             });
         } catch (error) {
-            console.error(`Error sending progress for SlowResponse ${this.callId}:`, error);
+            this.logger.error(`Error sending progress for SlowResponse ${this.callId}:`, error);
             this._handleError(error);
         }
     }
@@ -28,7 +28,7 @@ function SlowResponse() {
     this.end = async (result) => {
         if (isCompleted) {
             if (process.env.WEBHOOK_DEBUG === 'true') {
-                console.warn(`SlowResponse with callId ${this.callId} already completed, ignoring end call`);
+                this.logger.warn(`SlowResponse with callId ${this.callId} already completed, ignoring end call`);
             }
             return;
         }
@@ -47,7 +47,7 @@ function SlowResponse() {
             // Remove cleanup callbacks from registry since we completed successfully
             this._removeFromCleanupRegistry();
         } catch (error) {
-            console.error(`Error sending result for SlowResponse ${this.callId}:`, error);
+            this.logger.error(`Error sending result for SlowResponse ${this.callId}:`, error);
             this._handleError(error);
         }
     }
@@ -61,7 +61,7 @@ function SlowResponse() {
             try {
                 callback();
             } catch (error) {
-                console.error(`Error executing resource cleanup callback:`, error);
+                this.logger.error(`Error executing resource cleanup callback:`, error);
             }
         });
         resourceCleanupCallbacks = [];
@@ -72,7 +72,7 @@ function SlowResponse() {
             const ResponseCleanupRegistry = require('./ResponseCleanupRegistry').getInstance();
             ResponseCleanupRegistry.removeCleanupCallbacks(this.callId);
         } catch (error) {
-            console.error(`Error removing cleanup callbacks from registry:`, error);
+            this.logger.error(`Error removing cleanup callbacks from registry:`, error);
         }
     }
 
@@ -105,7 +105,7 @@ function SlowResponse() {
 
     this.addCleanupCallback(() => {
         if (!isCompleted) {
-            console.log(`SlowResponse with callId ${this.callId} expired - cleaning up resources`);
+            this.logger.info(`SlowResponse with callId ${this.callId} expired - cleaning up resources`);
             isCompleted = true;
             this._cleanup();
         }
@@ -0,0 +1,291 @@
+/**
+ * Minimal W3C trace context support: spans continue the trace of an incoming "traceparent" header, the active span
+ * travels in the command context, and finished spans are exported as OTLP JSON, either appended to a local file
+ * (one ExportTraceServiceRequest per line) or posted to a collector such as http://localhost:4318/v1/traces.
+ *
+ * Spans are always created so the trace context can be forwarded; they are only exported once configure()
+ * received a file or an endpoint.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const CommandContext = require('./CommandContext');
+const logger = require('./Logger').getLogger('Tracer');
+
+const TRACEPARENT_REGEX = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+const SPAN_KIND = {
+    internal: 1,
+    server: 2,
+    client: 3
+};
+const STATUS_CODE = {
+    unset: 0,
+    ok: 1,
+    error: 2
+};
+const DEFAULT_FLUSH_INTERVAL = 5000;
+const MAX_BATCH_SIZE = 512;
+
+let exportConfig = {};
+let pendingSpans = [];
+let flushTimer = null;
+let exporting = Promise.resolve();
+
+const nowUnixNano = () => {
+    // performance.now() keeps sub-millisecond precision, BigInt keeps it past 2^53
+    return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n;
+}
+
+const randomHex = (bytes) => {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Parse a traceparent header
+ * @param {string} header - e.g. "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"
+ * @returns {Object|null} - {traceId, spanId, flags}, null when the header is missing or invalid
+ */
+const parseTraceparent = (header) => {
+    const match = typeof header === 'string' && header.trim().toLowerCase().match(TRACEPARENT_REGEX);
+    if (!match || match[1] === 'ff' || match[2] === INVALID_TRACE_ID || match[3] === INVALID_SPAN_ID) {
+        return null;
+    }
+    return { traceId: match[2], spanId: match[3], flags: match[4] };
+}
+
+const toAttributeValue = (value) => {
+    if (typeof value === 'boolean') {
+        return { boolValue: value };
+    }
+    if (Number.isInteger(value)) {
+        return { intValue: String(value) };
+    }
+    if (typeof value === 'number') {
+        return { doubleValue: value };
+    }
+    return { stringValue: String(value) };
+}
+
+const toAttributes = (attributes) => {
+    return Object.keys(attributes)
+        .filter(key => typeof attributes[key] !== 'undefined')
+        .map(key => ({ key, value: toAttributeValue(attributes[key]) }));
+}
+
+function Span(name, { parent, kind = 'internal', attributes = {} } = {}) {
+    this.name = name;
+    this.traceId = parent ? parent.traceId : randomHex(16);
+    this.spanId = randomHex(8);
+    this.parentSpanId = parent ? parent.spanId : undefined;
+    this.flags = parent && parent.flags ? parent.flags : '01';
+    this.kind = kind;
+    this.attributes = { ...attributes };
+    this.status = { code: STATUS_CODE.unset };
+    this.startTime = nowUnixNano();
+    this.endTime = undefined;
+
+    this.setAttribute = (key, value) => {
+        this.attributes[key] = value;
+        return this;
+    }
+
+    this.recordError = (error) => {
+        this.status = { code: STATUS_CODE.error, message: error && error.message };
+        if (error && error.statusCode) {
+            this.attributes['http.status_code'] = error.statusCode;
+        }
+        return this;
+    }
+
+    this.end = () => {
+        if (typeof this.endTime !== 'undefined') {
+            return;
+        }
+        this.endTime = nowUnixNano();
+        if (this.status.code === STATUS_CODE.unset) {
+            this.status = { code: STATUS_CODE.ok };
+        }
+        enqueue(this);
+    }
+
+    /**
+     * @returns {string} - traceparent header value naming this span as the parent
+     */
+    this.traceparent = () => {
+        return `00-${this.traceId}-${this.spanId}-${this.flags}`;
+    }
+
+    this.toOTLP = () => {
+        return {
+            traceId: this.traceId,
+            spanId: this.spanId,
+            parentSpanId: this.parentSpanId,
+            name: this.name,
+            kind: SPAN_KIND[this.kind] || SPAN_KIND.internal,
+            startTimeUnixNano: this.startTime.toString(),
+            endTimeUnixNano: this.endTime.toString(),
+            attributes: toAttributes(this.attributes),
+            status: this.status
+        };
+    }
+}
+
+const isExportEnabled = () => {
+    return Boolean(exportConfig.file || exportConfig.endpoint);
+}
+
+const enqueue = (span) => {
+    if (!isExportEnabled()) {
+        return;
+    }
+    pendingSpans.push(span);
+    if (pendingSpans.length >= MAX_BATCH_SIZE) {
+        flush();
+    }
+}
+
+const buildExportRequest = (spans) => {
+    return {
+        resourceSpans: [{
+            resource: { attributes: toAttributes({ 'service.name': exportConfig.serviceName || 'serverlessAPI' }) },
+            scopeSpans: [{
+                scope: { name: 'serverlessAPI' },
+                spans: spans.map(span => span.toOTLP())
+            }]
+        }]
+    };
+}
+
+const exportSpans = async (spans) => {
+    const body = JSON.stringify(buildExportRequest(spans));
+    if (exportConfig.file) {
+        await fs.promises.mkdir(path.dirname(exportConfig.file), { recursive: true });
+        await fs.promises.appendFile(exportConfig.file, body + '\n');
+    }
+    if (exportConfig.endpoint) {
+        const response = await fetch(exportConfig.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(exportConfig.headers || {}) },
+            body
+        });
+        if (!response.ok) {
+            throw new Error(`Collector answered ${response.status} ${response.statusText}`);
+        }
+    }
+}
+
+/**
+ * Export the finished spans that are waiting for the next batch
+ * @returns {Promise<void>} - Settles once they are written, export failures are logged
+ */
+const flush = () => {
+    if (pendingSpans.length === 0) {
+        return exporting;
+    }
+    const spans = pendingSpans;
+    pendingSpans = [];
+    exporting = exporting.then(() => exportSpans(spans)).catch(error => {
+        logger.warn(`Could not export ${spans.length} spans: ${error.message}`);
+    });
+    return exporting;
+}
+
+/**
+ * Stop the periodic export and export the spans still waiting, before the process exits
+ * @returns {Promise<void>}
+ */
+const shutdown = () => {
+    if (flushTimer) {
+        clearInterval(flushTimer);
+        flushTimer = null;
+    }
+    return flush();
+}
+
+/**
+ * Configure the export of finished spans
+ * @param {Object} [config]
+ * @param {string} [config.file] - JSONL file receiving OTLP JSON export requests
+ * @param {string} [config.endpoint] - OTLP/HTTP JSON traces endpoint, OTEL_EXPORTER_OTLP_TRACES_ENDPOINT by default
+ * @param {Object} [config.headers] - Extra headers sent to the endpoint
+ * @param {string} [config.serviceName="serverlessAPI"] - service.name resource attribute
+ * @param {number} [config.flushInterval=5000] - Time between two exports, in milliseconds
+ */
+const configure = (config = {}) => {
+    exportConfig = { ...config, endpoint: config.endpoint || process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT };
+    if (flushTimer) {
+        clearInterval(flushTimer);
+        flushTimer = null;
+    }
+    if (isExportEnabled()) {
+        flushTimer = setInterval(flush, config.flushInterval || DEFAULT_FLUSH_INTERVAL);
+        flushTimer.unref();
+    } else {
+        pendingSpans = [];
+    }
+}
+
+/**
+ * @returns {Object|null} - The span, or the remote parent from the traceparent header, of the current command context
+ */
+const getActiveContext = () => {
+    const context = CommandContext.get();
+    if (!context) {
+        return null;
+    }
+    return context.span || parseTraceparent(context.traceparent);
+}
+
+/**
+ * Start a span, child of the active span of the command context when there is one
+ * @param {string} name - Name of the span
+ * @param {Object} [options] - {kind: "internal" | "server" | "client", attributes}
+ * @returns {Span}
+ */
+const startSpan = (name, options = {}) => {
+    return new Span(name, { ...options, parent: getActiveContext() });
+}
+
+/**
+ * Run a function inside a new span that is the active span for everything the function calls
+ * @param {string} name - Name of the span
+ * @param {Object} options - {kind, attributes}
+ * @param {Function} fn - Receives the span, may be asynchronous
+ * @returns {Promise<*>} - Whatever fn returns
+ */
+const withSpan = async (name, options, fn) => {
+    const span = startSpan(name, options);
+    try {
+        return await CommandContext.run({ ...CommandContext.get(), span }, () => fn(span));
+    } catch (error) {
+        span.recordError(error);
+        throw error;
+    } finally {
+        span.end();
+    }
+}
+
+/**
+ * @returns {string|undefined} - traceparent header value to forward to the services called from the current context
+ */
+const getTraceparent = () => {
+    const active = getActiveContext();
+    if (!active) {
+        return undefined;
+    }
+    return typeof active.traceparent === 'function' ? active.traceparent() : `00-${active.traceId}-${active.spanId}-${active.flags}`;
+}
+
+module.exports = {
+    configure,
+    flush,
+    shutdown,
+    startSpan,
+    withSpan,
+    getTraceparent,
+    parseTraceparent
+};
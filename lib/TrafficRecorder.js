@@ -0,0 +1,137 @@
+/**
+ * Records executed commands and their responses to a JSONL file and replays such a file against a PluginManager,
+ * reporting the responses that differ from the recorded ones.
+ *
+ * A recorded line looks like {timestamp, command, response: {statusCode, operationType, result}}. The command keeps
+ * its caller and its arguments, except the ones matched by the redaction rules, which the replay sends as "[REDACTED]".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const logger = require('./Logger').getLogger('TrafficRecorder');
+const errors = require('./errors');
+const { redactArgs } = require('./AuditLog');
+
+// Asynchronous responses carry a fresh callId on every call, so only their operation type is compared
+const SYNC_OPERATION_TYPES = ['sync', undefined];
+
+/**
+ * @param {string} filePath - JSONL file receiving the recorded traffic
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.redact=[]] - Argument redaction rules, written like the ones of the AuditLog
+ */
+function TrafficRecorder(filePath, options = {}) {
+    const redactionRules = options.redact || [];
+    let folderCreated = false;
+    // Writes are chained so lines keep the order in which the responses were sent
+    let writing = Promise.resolve();
+
+    /**
+     * Append a command and the response sent for it. Failures are logged and never reach the caller.
+     * @param {Object} command - Command as passed to PluginManager.executeCommand
+     * @param {Object} response - {statusCode, operationType, result}
+     * @returns {Promise<void>} - Settles once the line is written
+     */
+    this.record = (command, response) => {
+        if (command && typeof command === 'object' && redactionRules.length > 0) {
+            command = { ...command, args: redactArgs(redactionRules, command.pluginName, command.name, command.args) };
+        }
+        const line = JSON.stringify({ timestamp: new Date().toISOString(), command, response }) + '\n';
+        writing = writing.then(async () => {
+            if (!folderCreated) {
+                await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                folderCreated = true;
+            }
+            await fs.promises.appendFile(filePath, line);
+        }).catch(error => {
+            logger.error(`Error recording traffic to ${filePath}: ${error.message}`);
+        });
+        return writing;
+    }
+
+    /**
+     * Wait for the pending lines to be written
+     * @returns {Promise<void>}
+     */
+    this.flush = () => {
+        return writing;
+    }
+}
+
+/**
+ * Reduce a response to the parts that are expected to be stable between two runs
+ * @param {Object} response - {statusCode, operationType, result}
+ * @returns {Object}
+ */
+const comparableResponse = (response) => {
+    const comparable = { statusCode: response.statusCode, operationType: response.operationType };
+    if (response.statusCode !== 200) {
+        // Stack traces change with every code change, the message and code do not
+        const result = response.result || {};
+        comparable.result = typeof result === 'object' ? { message: result.message, code: result.code } : result;
+    } else if (SYNC_OPERATION_TYPES.includes(response.operationType)) {
+        comparable.result = response.result;
+    }
+    return comparable;
+}
+
+/**
+ * Turn an error thrown by executeCommand into the response the HTTP route sends for it
+ */
+const errorResponse = (error) => {
+    return {
+        statusCode: errors.getStatusCode(error),
+        operationType: undefined,
+        result: errors.toErrorResult(error)
+    };
+}
+
+/**
+ * Replay a recorded file against a PluginManager
+ * @param {Object} pluginManager - An initialized PluginManager
+ * @param {string} filePath - JSONL file written by a TrafficRecorder
+ * @returns {Promise<Object>} - {total, matched, differences: [{line, command, expected, actual}], invalidLines: [number]}
+ */
+TrafficRecorder.replay = async (pluginManager, filePath) => {
+    const report = { total: 0, matched: 0, differences: [], invalidLines: [] };
+    const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n');
+
+    for (let index = 0; index < lines.length; index++) {
+        if (!lines[index].trim()) {
+            continue;
+        }
+        let entry;
+        try {
+            entry = JSON.parse(lines[index]);
+        } catch (error) {
+            report.invalidLines.push(index + 1);
+            continue;
+        }
+        if (!entry || !entry.command || !entry.response) {
+            report.invalidLines.push(index + 1);
+            continue;
+        }
+
+        report.total++;
+        let actual;
+        try {
+            const pluginResult = await pluginManager.executeCommand(entry.command);
+            actual = { statusCode: 200, operationType: pluginResult.operationType, result: pluginResult.result };
+        } catch (error) {
+            actual = errorResponse(error);
+        }
+
+        const expected = comparableResponse(entry.response);
+        actual = comparableResponse(actual);
+        try {
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(actual)), JSON.parse(JSON.stringify(expected)));
+            report.matched++;
+        } catch (error) {
+            report.differences.push({ line: index + 1, command: entry.command, expected, actual });
+        }
+    }
+    return report;
+}
+
+module.exports = TrafficRecorder;
@@ -0,0 +1,206 @@
+/**
+ * Small semver range matcher used to check the versions of plugin dependencies.
+ *
+ * Supported ranges: exact versions ("1.2.3"), comparators (">=1.2.0 <2.0.0"), caret ("^1.2.0"),
+ * tilde ("~1.2.0"), x-ranges ("1.x", "1.2.*", "*"), hyphen ranges ("1.2.0 - 1.4.0") and "||" unions.
+ * Prerelease tags take part in the comparison but are not restricted to matching tuples.
+ */
+
+const VERSION_REGEX = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_REGEX = /^v?(\d+|[xX*])?(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse a full version
+ * @param {string} version - Version such as "1.2.3" or "1.2.3-beta.1"
+ * @returns {Object|null} - {major, minor, patch, prerelease} or null if the version is not valid
+ */
+const parse = (version) => {
+    const match = typeof version === 'string' && version.trim().match(VERSION_REGEX);
+    if (!match) {
+        return null;
+    }
+    return {
+        major: parseInt(match[1]),
+        minor: parseInt(match[2]),
+        patch: parseInt(match[3]),
+        prerelease: match[4] ? match[4].split('.') : []
+    };
+}
+
+const comparePrerelease = (a, b) => {
+    if (a.length === 0 || b.length === 0) {
+        // A version without prerelease is greater than the same version with one
+        return b.length - a.length;
+    }
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        if (typeof a[i] === 'undefined') {
+            return -1;
+        }
+        if (typeof b[i] === 'undefined') {
+            return 1;
+        }
+        const aNumeric = /^\d+$/.test(a[i]);
+        const bNumeric = /^\d+$/.test(b[i]);
+        if (aNumeric && bNumeric) {
+            const diff = parseInt(a[i]) - parseInt(b[i]);
+            if (diff !== 0) {
+                return diff;
+            }
+        } else if (aNumeric !== bNumeric) {
+            return aNumeric ? -1 : 1;
+        } else if (a[i] !== b[i]) {
+            return a[i] < b[i] ? -1 : 1;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Compare two parsed versions
+ * @returns {number} - Negative if a < b, 0 if equal, positive if a > b
+ */
+const compare = (a, b) => {
+    return (a.major - b.major) || (a.minor - b.minor) || (a.patch - b.patch) || comparePrerelease(a.prerelease, b.prerelease);
+}
+
+const isWildcard = (part) => {
+    return typeof part === 'undefined' || part === 'x' || part === 'X' || part === '*';
+}
+
+const parsePartial = (text) => {
+    const match = text.match(PARTIAL_REGEX);
+    if (!match) {
+        throw new Error(`Invalid version "${text}"`);
+    }
+    const parts = [match[1], match[2], match[3]];
+    // Everything after the first wildcard is a wildcard too
+    const precision = parts.findIndex(isWildcard);
+    const known = precision === -1 ? 3 : precision;
+    return {
+        major: known > 0 ? parseInt(parts[0]) : 0,
+        minor: known > 1 ? parseInt(parts[1]) : 0,
+        patch: known > 2 ? parseInt(parts[2]) : 0,
+        prerelease: known === 3 && match[4] ? match[4].split('.') : [],
+        known
+    };
+}
+
+const version = (major, minor, patch) => {
+    return { major, minor, patch, prerelease: [] };
+}
+
+// The first version after every version matching the known parts, e.g. 1.2 -> 1.3.0
+const nextAfter = (partial) => {
+    switch (partial.known) {
+        case 1:
+            return version(partial.major + 1, 0, 0);
+        case 2:
+            return version(partial.major, partial.minor + 1, 0);
+        default:
+            return version(partial.major, partial.minor, partial.patch + 1);
+    }
+}
+
+/**
+ * Turn one range element (e.g. "^1.2.0", ">=1.0", "1.x") into primitive {operator, version} comparators
+ */
+const toComparators = (element) => {
+    const match = element.match(/^(\^|~|>=|<=|>|<|=)?\s*(.*)$/);
+    const operator = match[1] || '=';
+    const partial = parsePartial(match[2]);
+    const lower = version(partial.major, partial.minor, partial.patch);
+    lower.prerelease = partial.prerelease;
+
+    if (partial.known === 0) {
+        // "*", "x" or "": any version, except for "<*" and ">*" which match nothing
+        return operator === '<' || operator === '>' ? [{ operator: '<', version: version(0, 0, 0) }] : [];
+    }
+
+    switch (operator) {
+        case '^': {
+            let upper;
+            if (partial.major > 0 || partial.known === 1) {
+                upper = version(partial.major + 1, 0, 0);
+            } else if (partial.minor > 0 || partial.known === 2) {
+                upper = version(0, partial.minor + 1, 0);
+            } else {
+                upper = version(0, 0, partial.patch + 1);
+            }
+            return [{ operator: '>=', version: lower }, { operator: '<', version: upper }];
+        }
+        case '~': {
+            const upper = partial.known === 1 ? version(partial.major + 1, 0, 0) : version(partial.major, partial.minor + 1, 0);
+            return [{ operator: '>=', version: lower }, { operator: '<', version: upper }];
+        }
+        case '>':
+            return partial.known === 3 ? [{ operator: '>', version: lower }] : [{ operator: '>=', version: nextAfter(partial) }];
+        case '>=':
+            return [{ operator: '>=', version: lower }];
+        case '<':
+            return [{ operator: '<', version: lower }];
+        case '<=':
+            return partial.known === 3 ? [{ operator: '<=', version: lower }] : [{ operator: '<', version: nextAfter(partial) }];
+        default:
+            return partial.known === 3 ? [{ operator: '=', version: lower }] : [{ operator: '>=', version: lower }, { operator: '<', version: nextAfter(partial) }];
+    }
+}
+
+const testComparator = (parsedVersion, { operator, version }) => {
+    const diff = compare(parsedVersion, version);
+    switch (operator) {
+        case '>':
+            return diff > 0;
+        case '>=':
+            return diff >= 0;
+        case '<':
+            return diff < 0;
+        case '<=':
+            return diff <= 0;
+        default:
+            return diff === 0;
+    }
+}
+
+const parseComparatorSet = (text) => {
+    const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+    if (hyphen) {
+        const from = parsePartial(hyphen[1]);
+        const to = parsePartial(hyphen[2]);
+        const comparators = [{ operator: '>=', version: version(from.major, from.minor, from.patch) }];
+        if (to.known === 3) {
+            comparators.push({ operator: '<=', version: version(to.major, to.minor, to.patch) });
+        } else if (to.known > 0) {
+            comparators.push({ operator: '<', version: nextAfter(to) });
+        }
+        return comparators;
+    }
+
+    // Allow a space between an operator and its version, e.g. ">= 1.2.0"
+    const elements = text.replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    return elements.reduce((comparators, element) => comparators.concat(toComparators(element)), []);
+}
+
+/**
+ * Check whether a version satisfies a range
+ * @param {string} version - Version such as "1.2.3"
+ * @param {string} range - Range such as "^1.2.0" or ">=1.0.0 <2.0.0 || ^3.0.0"
+ * @returns {boolean}
+ * @throws {Error} - If the version or the range is not valid
+ */
+const satisfies = (version, range) => {
+    const parsedVersion = parse(version);
+    if (!parsedVersion) {
+        throw new Error(`Invalid version "${version}"`);
+    }
+    if (typeof range !== 'string') {
+        throw new Error(`Invalid version range "${range}"`);
+    }
+    return range.split('||').some(set => {
+        return parseComparatorSet(set.trim()).every(comparator => testComparator(parsedVersion, comparator));
+    });
+}
+
+module.exports = {
+    parse,
+    satisfies
+};
@@ -0,0 +1,99 @@
+/**
+ * Error classes shared by the PluginManager and the plugins. Each class maps to an HTTP status code and carries a
+ * stable `code`; plugins can pass their own code, e.g. new NotFoundError('No such account', { code: 'ACCOUNT_NOT_FOUND' }).
+ * Plugins reach them through $$.errors without requiring this file.
+ *
+ * Errors that are not ServerlessErrors are answered with status code 500 and code INTERNAL_ERROR.
+ */
+
+const INTERNAL_ERROR = 'INTERNAL_ERROR';
+
+class ServerlessError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {number} [options.statusCode=500] - HTTP status code of the error response
+     * @param {string} [options.code="INTERNAL_ERROR"] - Stable code clients can rely on
+     * @param {*} [options.details] - Extra data sent to the client, e.g. the failing fields of a validation
+     * @param {Error} [options.cause] - Underlying error, never sent to the client
+     */
+    constructor(message, { statusCode = 500, code = INTERNAL_ERROR, details, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.code = code;
+        if (typeof details !== 'undefined') {
+            this.details = details;
+        }
+    }
+}
+
+class ValidationError extends ServerlessError {
+    constructor(message, options = {}) {
+        super(message, { code: 'VALIDATION_FAILED', ...options, statusCode: 400 });
+    }
+}
+
+class ForbiddenError extends ServerlessError {
+    constructor(message, options = {}) {
+        super(message, { code: 'FORBIDDEN', ...options, statusCode: 403 });
+    }
+}
+
+class NotFoundError extends ServerlessError {
+    constructor(message, options = {}) {
+        super(message, { code: 'NOT_FOUND', ...options, statusCode: 404 });
+    }
+}
+
+class ConflictError extends ServerlessError {
+    constructor(message, options = {}) {
+        super(message, { code: 'CONFLICT', ...options, statusCode: 409 });
+    }
+}
+
+class UnavailableError extends ServerlessError {
+    constructor(message, options = {}) {
+        super(message, { code: 'UNAVAILABLE', ...options, statusCode: 503 });
+    }
+}
+
+/**
+ * @param {Error} error
+ * @returns {number} - The status code of the error, 500 when it has none or an invalid one
+ */
+const getStatusCode = (error) => {
+    const statusCode = error && error.statusCode;
+    return Number.isInteger(statusCode) && statusCode >= 400 && statusCode <= 599 ? statusCode : 500;
+}
+
+/**
+ * Turn an error into the result of an error response
+ * @param {Error} error
+ * @param {boolean} [includeStack=false] - Add the stack trace, only meant for development
+ * @returns {Object} - {message, code, details, retryAfter, rootCause, stack}
+ */
+const toErrorResult = (error, includeStack = false) => {
+    const result = {
+        message: error && error.message,
+        code: (error && error.code) || INTERNAL_ERROR,
+        details: error && error.details,
+        retryAfter: error && error.retryAfter,
+        rootCause: error && error.rootCause
+    };
+    if (includeStack && error && error.stack) {
+        result.stack = error.stack;
+    }
+    return result;
+}
+
+module.exports = {
+    ServerlessError,
+    ValidationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    UnavailableError,
+    getStatusCode,
+    toErrorResult
+};
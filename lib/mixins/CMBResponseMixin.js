@@ -6,7 +6,8 @@ function CMBResponseMixin(target) {
     target.externalWebhookId = target._generateId();
     const pollExternalWebhook = () => {
         pollingInterval = setInterval(async () => {
-            const response = await fetch(`${target.getExternalWebhookUrl()}/${target.externalWebhookId}`);
+            const headers = target.traceparent ? { traceparent: target.traceparent } : {};
+            const response = await fetch(`${target.getExternalWebhookUrl()}/${target.externalWebhookId}`, { headers });
             if (response.ok) {
                 const data = await response.json();
                 if (data.status === 'completed') {
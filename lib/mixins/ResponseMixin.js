@@ -1,5 +1,14 @@
 function ResponseMixin(target) {
     const ResponseCleanupRegistry = require('../ResponseCleanupRegistry').getInstance();
+    const commandContext = require('../CommandContext').get();
+    // Webhook calls outlive the request, so the response keeps the correlation id of the request that created it
+    target.correlationId = commandContext ? commandContext.correlationId : undefined;
+    target.logger = require('../Logger').getLogger(target.constructor.name).child({ correlationId: target.correlationId });
+    // Same for the trace context: webhook calls continue the trace of the span that created the response
+    target.traceparent = require('../Tracer').getTraceparent();
+    const metrics = require('../Metrics').getInstance();
+    const expirations = metrics.counter('serverless_response_expirations_total', 'Asynchronous responses that expired before completing', ['type']);
+    const webhookFailures = metrics.counter('serverless_webhook_failures_total', 'Failed webhook deliveries of asynchronous responses', ['type', 'endpoint']);
     let cleanupCallbacks = [];
     let errorCallbacks = [];
     let lastActivityTime = Date.now();
@@ -23,6 +32,7 @@ function ResponseMixin(target) {
         ResponseCleanupRegistry.registerCleanupCallback(target.callId, () => {
             target._handleExpiry();
         });
+        ResponseCleanupRegistry.registerResponseType(target.callId, target.constructor.name);
 
         // Establish serverless mapping immediately when response is created
         target._registerServerlessMapping();
@@ -37,6 +47,12 @@ function ResponseMixin(target) {
                     'Content-Type': 'application/json',
                     'x-serverless-id': process.env.SERVERLESS_ID
                 };
+                if (target.correlationId) {
+                    headers['x-correlation-id'] = target.correlationId;
+                }
+                if (target.traceparent) {
+                    headers['traceparent'] = target.traceparent;
+                }
 
                 const response = await fetch(endpoint, {
                     method: 'PUT',
@@ -45,10 +61,12 @@ function ResponseMixin(target) {
                 });
 
                 if (!response.ok) {
-                    console.warn(`Failed to register serverless mapping: ${response.status} ${response.statusText}`);
+                    webhookFailures.inc({ type: target.constructor.name, endpoint: 'registerMapping' });
+                    target.logger.warn(`Failed to register serverless mapping: ${response.status} ${response.statusText}`);
                 }
             } catch (error) {
-                console.error(`Error registering serverless mapping for callId ${target.callId}:`, error);
+                webhookFailures.inc({ type: target.constructor.name, endpoint: 'registerMapping' });
+                target.logger.error(`Error registering serverless mapping for callId ${target.callId}:`, error);
             }
         }
     }
@@ -62,7 +80,7 @@ function ResponseMixin(target) {
 
         expiryTimer = setTimeout(() => {
             if (!isCompleted) {
-                console.log(`[PLUGIN EXPIRY] CallId ${target.callId} expired after ${expiryTime / 1000}s of inactivity`);
+                target.logger.info(`[PLUGIN EXPIRY] CallId ${target.callId} expired after ${expiryTime / 1000}s of inactivity`);
                 target._handleExpiry();
             }
         }, expiryTime);
@@ -79,7 +97,7 @@ function ResponseMixin(target) {
     target._setCompleted = (completed) => {
         isCompleted = completed;
         if (completed && expiryTimer) {
-            console.log(`[PLUGIN EXPIRY] CallId ${target.callId} marked as completed, clearing expiry timer`);
+            target.logger.info(`[PLUGIN EXPIRY] CallId ${target.callId} marked as completed, clearing expiry timer`);
             clearTimeout(expiryTimer);
             expiryTimer = null;
         }
@@ -100,7 +118,7 @@ function ResponseMixin(target) {
             try {
                 callback(error);
             } catch (err) {
-                console.error(`Error executing error callback:`, err);
+                target.logger.error(`Error executing error callback:`, err);
             }
         });
     }
@@ -118,7 +136,8 @@ function ResponseMixin(target) {
         }
 
         const expiryMinutes = Math.floor((parseInt(process.env.WEBHOOK_EXPIRY_TIME) || 5 * 60 * 1000) / 1000 / 60);
-        console.log(`Response with callId ${target.callId} expired after ${expiryMinutes} minutes of inactivity`);
+        expirations.inc({ type: target.constructor.name });
+        target.logger.info(`Response with callId ${target.callId} expired after ${expiryMinutes} minutes of inactivity`);
 
         // Create error object for expiry
         const expiryError = new Error(`Request expired: CallId ${target.callId} was inactive for more than ${expiryMinutes} minutes`);
@@ -131,7 +150,7 @@ function ResponseMixin(target) {
             try {
                 callback(expiryError);
             } catch (error) {
-                console.error(`Error executing error callback:`, error);
+                target.logger.error(`Error executing error callback:`, error);
             }
         });
 
@@ -140,11 +159,13 @@ function ResponseMixin(target) {
             try {
                 callback();
             } catch (error) {
-                console.error(`Error executing cleanup callback:`, error);
+                target.logger.error(`Error executing cleanup callback:`, error);
             }
         });
         cleanupCallbacks = [];
         errorCallbacks = [];
+        // The response is over, it must no longer count as active
+        ResponseCleanupRegistry.removeCleanupCallbacks(target.callId);
     }
 
     target.sendDataToWebhook = async (endpoint, data) => {
@@ -159,14 +180,28 @@ function ResponseMixin(target) {
         if (process.env.SERVERLESS_ID) {
             headers['x-serverless-id'] = process.env.SERVERLESS_ID;
         }
+        if (target.correlationId) {
+            headers['x-correlation-id'] = target.correlationId;
+        }
+        if (target.traceparent) {
+            headers['traceparent'] = target.traceparent;
+        }
 
-        const response = await fetch(endpoint, {
-            method: 'PUT',
-            headers: headers,
-            body: JSON.stringify({ callId: target.callId, ...data })
-        });
+        const endpointName = endpoint.split('/').pop();
+        let response;
+        try {
+            response = await fetch(endpoint, {
+                method: 'PUT',
+                headers: headers,
+                body: JSON.stringify({ callId: target.callId, ...data })
+            });
+        } catch (error) {
+            webhookFailures.inc({ type: target.constructor.name, endpoint: endpointName });
+            throw error;
+        }
 
         if (!response.ok) {
+            webhookFailures.inc({ type: target.constructor.name, endpoint: endpointName });
             throw new Error(`Failed to send data to webhook: ${response.statusText}`);
         }
     }
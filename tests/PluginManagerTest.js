@@ -17,6 +17,14 @@ if (typeof globalThis.$$ === "undefined") {
 }
 
 const PluginManager = require('../lib/PluginManager');
+const ServiceDescriptor = require('../lib/ServiceDescriptor');
+const Authenticator = require('../lib/Authenticator');
+const TrafficRecorder = require('../lib/TrafficRecorder');
+const Logger = require('../lib/Logger');
+const CommandContext = require('../lib/CommandContext');
+const Metrics = require('../lib/Metrics');
+const Tracer = require('../lib/Tracer');
+const errors = require('../lib/errors');
 
 // Test utilities
 const testDir = path.join(__dirname, 'test-plugins');
@@ -53,7 +61,7 @@ function setupTestEnvironment() {
 /**
  * Create a plugin file with the specified dependencies
  */
-function createPluginFile(pluginName, dependencies) {
+function createPluginFile(pluginName, dependencies, targetDir = pluginsDir) {
     const pluginCode = `
         let instance = null;
 
@@ -86,7 +94,7 @@ function createPluginFile(pluginName, dependencies) {
         };
     `;
 
-    fs.writeFileSync(path.join(pluginsDir, `${pluginName}.js`), pluginCode);
+    fs.writeFileSync(path.join(targetDir, `${pluginName}.js`), pluginCode);
 }
 
 /**
@@ -144,6 +152,84 @@ async function runTests() {
         // Test command execution
         await testCommandExecution();
         
+        // Test batch execution
+        await testBatchExecution();
+        
+        // Test argument validation against declared schemas
+        await testArgumentValidation();
+        
+        // Test service descriptor generation
+        await testServiceDescriptor();
+        
+        // Test hot reload of changed plugins and their dependents
+        await testHotReload();
+        
+        // Test targeted restart of a plugin and its dependents
+        await testRestartPlugin();
+        
+        // Test that reloads wait for running commands
+        await testReloadDrainsCommands();
+        
+        // Test versioned and optional dependencies
+        await testVersionedDependencies();
+        
+        // Test plugin folders with manifests and ES module plugins
+        await testPluginPackages();
+        
+        // Test plugin health checks and readiness
+        await testHealthChecks();
+        
+        // Test level-by-level concurrent initialization
+        await testParallelInitialization();
+        
+        // Test degraded mode
+        await testDegradedMode();
+        
+        // Test plugin inventory
+        await testPluginInventory();
+        
+        // Test command timeouts
+        await testCommandTimeouts();
+        
+        // Test rate limits
+        await testRateLimits();
+        
+        // Test caller authentication
+        await testAuthentication();
+        
+        // Test audit log
+        await testAuditLog();
+        
+        // Test record and replay
+        await testRecordAndReplay();
+        
+        // Test structured logging
+        await testLogging();
+        
+        // Test metrics
+        await testMetrics();
+        
+        // Test tracing
+        await testTracing();
+        
+        // Test interceptors
+        await testInterceptors();
+        
+        // Test access policy
+        await testAccessPolicy();
+        
+        // Test error taxonomy
+        await testErrorTaxonomy();
+        
+        // Test idempotency keys
+        await testIdempotencyKeys();
+        
+        // Test result caching
+        await testResultCaching();
+        
+        // Test environment updates of managed processes
+        await testProcessEnvUpdate();
+        
         // Test circular dependency detection
         await testCircularDependency();
         
@@ -244,6 +330,1706 @@ async function testCommandExecution() {
     console.log('✓ Command execution test passed');
 }
 
+/**
+ * Test batch execution in both modes, with a failing command in the middle
+ */
+async function testBatchExecution() {
+    console.log('Testing batch execution...');
+    
+    const manager = new PluginManager(testDir);
+    await manager.init();
+    
+    const commands = [
+        { forWhom: 'tester', name: 'testMethod', pluginName: 'pluginA', args: [] },
+        { forWhom: 'tester', name: 'missingMethod', pluginName: 'pluginB', args: [] },
+        { forWhom: 'tester', name: 'testMethod', pluginName: 'pluginC', args: [] }
+    ];
+    
+    for (const mode of ['sequential', 'parallel']) {
+        const results = await manager.executeBatch(commands, { mode });
+        assert.strictEqual(results.length, 3, `Batch (${mode}) should return one envelope per command`);
+        assert.strictEqual(results[0].statusCode, 200);
+        assert.strictEqual(results[0].operationType, 'sync');
+        assert.strictEqual(results[0].result, 'Hello from pluginA');
+        assert.strictEqual(results[1].statusCode, 404, `Failing command (${mode}) should get its own error envelope`);
+        assert.strictEqual(results[1].result.code, 'METHOD_NOT_FOUND');
+        assert(results[1].result.message.includes('missingMethod'));
+        assert.strictEqual(results[1].result.stack, undefined, 'Stack traces should only be sent in development mode');
+        assert.strictEqual(results[2].result, 'Hello from pluginC', `Batch (${mode}) should continue after a failure`);
+    }
+    
+    await assert.rejects(manager.executeBatch(commands, { mode: 'unknown' }), /unknown mode/);
+    
+    const limited = new PluginManager(testDir, { maxBatchSize: 2 });
+    await limited.init();
+    await assert.rejects(limited.executeBatch(commands), error => {
+        return error instanceof errors.ValidationError && error.statusCode === 400 && error.code === 'INVALID_BATCH';
+    }, 'Batches over maxBatchSize should be rejected');
+    assert.strictEqual((await limited.executeBatch(commands.slice(0, 2))).length, 2);
+    
+    console.log('✓ Batch execution test passed');
+}
+
+/**
+ * Write a plugin declaring argument schemas for greet, and counting the calls of its allow function
+ */
+function createSchemaPluginFile(pluginsDir, pluginName) {
+    const pluginCode = `
+        let allowCalls = 0;
+
+        function getInstance() {
+            return {
+                greet: function(name, options) {
+                    return "Hello " + name;
+                },
+                getAllowCalls: function() {
+                    return allowCalls;
+                }
+            };
+        }
+
+        function getSchemas() {
+            return {
+                greet: {
+                    params: [
+                        { name: "name", type: "string", minLength: 1 },
+                        {
+                            name: "options",
+                            type: "object",
+                            optional: true,
+                            properties: { loud: { type: "boolean" } },
+                            additionalProperties: false
+                        }
+                    ],
+                    returns: { type: "string" }
+                }
+            };
+        }
+
+        function getAllow() {
+            return function() {
+                allowCalls++;
+                return true;
+            };
+        }
+
+        module.exports = {
+            getInstance,
+            getSchemas,
+            getAllow
+        };
+    `;
+
+    fs.writeFileSync(path.join(pluginsDir, `${pluginName}.js`), pluginCode);
+}
+
+/**
+ * Test that arguments are checked against the schemas a plugin declares before allow runs
+ */
+async function testArgumentValidation() {
+    console.log('Testing argument validation...');
+    
+    const schemaDir = path.join(testDir, 'schema-plugins');
+    const schemaPluginsDir = path.join(schemaDir, 'plugins');
+    fs.mkdirSync(schemaPluginsDir, { recursive: true });
+    
+    createSchemaPluginFile(schemaPluginsDir, 'schemaPlugin');
+    
+    const manager = new PluginManager(schemaDir);
+    await manager.init();
+    
+    const command = (args) => ({ forWhom: 'tester', name: 'greet', pluginName: 'schemaPlugin', args });
+    
+    const result = await manager.executeCommand(command(['world', { loud: true }]));
+    assert.strictEqual(result.result, 'Hello world');
+    
+    await assert.rejects(manager.executeCommand(command([42, { loud: 'yes', color: 'red' }])), (error) => {
+        assert.strictEqual(error.statusCode, 400);
+        assert.strictEqual(error.code, 'VALIDATION_FAILED');
+        assert.deepStrictEqual(error.details.map(detail => detail.field), ['name', 'options.loud', 'options.color']);
+        return true;
+    });
+    
+    await assert.rejects(manager.executeCommand(command([])), (error) => {
+        assert.deepStrictEqual(error.details, [{ field: 'name', message: 'is required' }]);
+        return true;
+    });
+    
+    const allowCalls = await manager.executeCommand({ forWhom: 'tester', name: 'getAllowCalls', pluginName: 'schemaPlugin', args: [] });
+    assert.strictEqual(allowCalls.result, 2, 'allow should not run for invalid arguments');
+    
+    console.log('✓ Argument validation test passed');
+}
+
+/**
+ * Test the compact and OpenAPI descriptors built from the loaded plugins
+ */
+async function testServiceDescriptor() {
+    console.log('Testing service descriptor...');
+    
+    const manager = new PluginManager(testDir);
+    await manager.init();
+    const service = await manager.describe();
+    assert.deepStrictEqual(Object.keys(service.plugins).sort(), ['pluginA', 'pluginB', 'pluginC', 'pluginD']);
+    assert.deepStrictEqual(service.plugins.pluginD.dependencies.map(dependency => dependency.name), ['pluginA', 'pluginC']);
+    
+    const descriptorDir = path.join(testDir, 'descriptor-plugins');
+    fs.mkdirSync(path.join(descriptorDir, 'plugins'), { recursive: true });
+    createSchemaPluginFile(path.join(descriptorDir, 'plugins'), 'schemaPlugin');
+    const schemaManager = new PluginManager(descriptorDir);
+    await schemaManager.init();
+    const schemaService = await schemaManager.describe();
+    const greet = schemaService.plugins.schemaPlugin.methods.greet;
+    assert.strictEqual(greet.operationType, 'sync');
+    assert.strictEqual(greet.params.length, 2);
+    
+    const openapi = ServiceDescriptor.toOpenAPI(schemaService, { urlPrefix: '/test' });
+    assert(openapi.openapi.startsWith('3.'), 'Descriptor should be an OpenAPI 3 document');
+    assert(openapi.paths['/test/executeCommand'].put, 'executeCommand should be documented');
+    const command = openapi.components.schemas['schemaPlugin.greet.Command'];
+    assert.deepStrictEqual(command.properties.args.prefixItems[0], { type: 'string', minLength: 1, title: 'name' });
+    assert.strictEqual(command.properties.args.minItems, 1);
+    assert.strictEqual(command.properties.args.maxItems, 2);
+    
+    console.log('✓ Service descriptor test passed');
+}
+
+/**
+ * Write a plugin whose instances expose the module load id and a version
+ */
+function createReloadablePluginFile(pluginsDir, pluginName, dependencies, version) {
+    const pluginCode = `
+        const loadId = Math.random();
+
+        function getDependencies() {
+            return ${JSON.stringify(dependencies)};
+        }
+
+        function getInstance() {
+            return {
+                getLoadId: function() {
+                    return loadId;
+                },
+                getVersion: function() {
+                    return ${version};
+                }
+            };
+        }
+
+        function getAllow() {
+            return function() { return true; };
+        }
+
+        module.exports = {
+            getDependencies,
+            getInstance,
+            getAllow
+        };
+    `;
+
+    fs.writeFileSync(path.join(pluginsDir, `${pluginName}.js`), pluginCode);
+}
+
+/**
+ * Test that watch mode reloads a changed plugin and its dependents, and leaves the other plugins alone
+ */
+async function testHotReload() {
+    console.log('Testing hot reload...');
+    
+    const reloadDir = path.join(testDir, 'reload-plugins');
+    const reloadPluginsDir = path.join(reloadDir, 'plugins');
+    fs.mkdirSync(reloadPluginsDir, { recursive: true });
+    createReloadablePluginFile(reloadPluginsDir, 'pluginP', [], 1);
+    createReloadablePluginFile(reloadPluginsDir, 'pluginQ', ['pluginP'], 1);
+    createReloadablePluginFile(reloadPluginsDir, 'pluginR', [], 1);
+    
+    const manager = new PluginManager(reloadDir, { watch: true });
+    await manager.init();
+    
+    const call = async (pluginName, name) => {
+        const result = await manager.executeCommand({ forWhom: 'tester', name, pluginName, args: [] });
+        return result.result;
+    };
+    const loadIdsBefore = {
+        pluginP: await call('pluginP', 'getLoadId'),
+        pluginQ: await call('pluginQ', 'getLoadId'),
+        pluginR: await call('pluginR', 'getLoadId')
+    };
+    
+    try {
+        createReloadablePluginFile(reloadPluginsDir, 'pluginP', [], 2);
+        
+        const deadline = Date.now() + 5000;
+        while (await call('pluginP', 'getVersion') !== 2) {
+            assert(Date.now() < deadline, 'Changed plugin should be reloaded');
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        
+        assert.notStrictEqual(await call('pluginQ', 'getLoadId'), loadIdsBefore.pluginQ, 'Dependent plugin should be reloaded');
+        assert.strictEqual(await call('pluginR', 'getLoadId'), loadIdsBefore.pluginR, 'Independent plugin should not be reloaded');
+    } finally {
+        manager.unwatch();
+    }
+    
+    console.log('✓ Hot reload test passed');
+}
+
+/**
+ * Test that restartPlugin only re-registers the plugin and, with cascade, its dependents
+ */
+async function testRestartPlugin() {
+    console.log('Testing targeted plugin restart...');
+    
+    const restartDir = path.join(testDir, 'restart-plugins');
+    const restartPluginsDir = path.join(restartDir, 'plugins');
+    fs.mkdirSync(restartPluginsDir, { recursive: true });
+    createReloadablePluginFile(restartPluginsDir, 'pluginP', [], 1);
+    createReloadablePluginFile(restartPluginsDir, 'pluginQ', ['pluginP'], 1);
+    createReloadablePluginFile(restartPluginsDir, 'pluginR', [], 1);
+    
+    const manager = new PluginManager(restartDir);
+    await manager.init();
+    
+    const registered = [];
+    const originalRegisterPlugin = manager.registerPlugin;
+    manager.registerPlugin = async (pluginName, pluginPath) => {
+        registered.push(pluginName);
+        return await originalRegisterPlugin.call(manager, pluginName, pluginPath);
+    };
+    
+    const restarted = await manager.restartPlugin('pluginP');
+    assert.deepStrictEqual(restarted, ['pluginP', 'pluginQ'], 'Dependents should be restarted after the plugin');
+    assert.deepStrictEqual(registered, ['pluginP', 'pluginQ']);
+    
+    registered.length = 0;
+    assert.deepStrictEqual(await manager.restartPlugin('pluginP', { cascade: false }), ['pluginP']);
+    assert.deepStrictEqual(registered, ['pluginP']);
+    
+    const result = await manager.executeCommand({ forWhom: 'tester', name: 'getVersion', pluginName: 'pluginQ', args: [] });
+    assert.strictEqual(result.result, 1, 'Restarted plugins should keep serving commands');
+    
+    await assert.rejects(manager.restartPlugin('unknownPlugin'), (error) => error.statusCode === 404);
+    
+    console.log('✓ Targeted plugin restart test passed');
+}
+
+/**
+ * Test that a reload lets the commands already running on the old instance finish before shutting it down
+ */
+async function testReloadDrainsCommands() {
+    console.log('Testing that reloads wait for running commands...');
+    
+    const drainDir = path.join(testDir, 'drain-plugins');
+    const drainPluginsDir = path.join(drainDir, 'plugins');
+    fs.mkdirSync(drainPluginsDir, { recursive: true });
+    fs.writeFileSync(path.join(drainPluginsDir, 'worker.js'), `
+        module.exports = {
+            getInstance: () => {
+                let closed = false;
+                return {
+                    work: async (ms) => {
+                        await new Promise(resolve => setTimeout(resolve, ms));
+                        if (closed) {
+                            throw new Error('worker is shut down');
+                        }
+                        return 'finished';
+                    },
+                    shutdown: async () => { closed = true; }
+                };
+            },
+            getAllow: () => () => true
+        };
+    `);
+    
+    const manager = new PluginManager(drainDir);
+    await manager.init();
+    const work = (ms) => manager.executeCommand({ pluginName: 'worker', name: 'work', args: [ms] });
+    
+    const running = work(150);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const restarted = manager.restartPlugin('worker');
+    assert.strictEqual((await running).result, 'finished', 'A running command should finish before its plugin is shut down');
+    assert.deepStrictEqual(await restarted, ['worker']);
+    assert.strictEqual((await work(1)).result, 'finished', 'The new instance should serve commands');
+    
+    const impatient = new PluginManager(drainDir, { drainTimeout: 20 });
+    await impatient.init();
+    const stuck = impatient.executeCommand({ pluginName: 'worker', name: 'work', args: [200] });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await impatient.restartPlugin('worker');
+    await assert.rejects(stuck, /shut down/, 'The wait for running commands should be bounded by drainTimeout');
+    
+    console.log('✓ Reload drain test passed');
+}
+
+/**
+ * Create a plugin file exporting a version and dependencies declared as names or {name, version, optional}
+ */
+function createVersionedPluginFile(pluginsDir, pluginName, dependencies, version) {
+    const pluginCode = `
+        function getVersion() {
+            return ${JSON.stringify(version)};
+        }
+
+        function getDependencies() {
+            return ${JSON.stringify(dependencies)};
+        }
+
+        function getInstance() {
+            return {
+                ping: function() {
+                    return "pong from ${pluginName}";
+                }
+            };
+        }
+
+        function getAllow() {
+            return function() { return true; };
+        }
+
+        module.exports = {
+            getVersion,
+            getDependencies,
+            getInstance,
+            getAllow
+        };
+    `;
+
+    fs.writeFileSync(path.join(pluginsDir, `${pluginName}.js`), pluginCode);
+}
+
+/**
+ * Test that missing required dependencies and version conflicts fail init with a full report,
+ * while missing optional dependencies are skipped
+ */
+async function testVersionedDependencies() {
+    console.log('Testing versioned dependencies...');
+    
+    const conflictDir = path.join(testDir, 'versioned-conflict');
+    const conflictPluginsDir = path.join(conflictDir, 'plugins');
+    fs.mkdirSync(conflictPluginsDir, { recursive: true });
+    createVersionedPluginFile(conflictPluginsDir, 'base', [], '1.4.0');
+    createVersionedPluginFile(conflictPluginsDir, 'needsNewBase', [{ name: 'base', version: '^2.0.0' }], '1.0.0');
+    createVersionedPluginFile(conflictPluginsDir, 'needsGhost', ['ghost'], '1.0.0');
+    
+    const conflictManager = new PluginManager(conflictDir);
+    await assert.rejects(conflictManager.init(), (error) => {
+        assert.strictEqual(error.code, 'UNRESOLVED_DEPENDENCIES');
+        assert.deepStrictEqual(error.unresolved.map(edge => `${edge.pluginName}->${edge.dependency}`).sort(), ['needsGhost->ghost', 'needsNewBase->base']);
+        assert(error.message.includes('found version 1.4.0'), 'Report should mention the conflicting version');
+        assert(error.message.includes('plugin not found'), 'Report should mention the missing plugin');
+        return true;
+    });
+    
+    const optionalDir = path.join(testDir, 'versioned-optional');
+    const optionalPluginsDir = path.join(optionalDir, 'plugins');
+    fs.mkdirSync(optionalPluginsDir, { recursive: true });
+    createVersionedPluginFile(optionalPluginsDir, 'base', [], '1.4.0');
+    createVersionedPluginFile(optionalPluginsDir, 'optionalUser', [
+        { name: 'ghost', optional: true },
+        { name: 'base', version: '>=1.2.0 <2.0.0' }
+    ], '1.0.0');
+    
+    const optionalManager = new PluginManager(optionalDir);
+    await optionalManager.init();
+    const result = await optionalManager.executeCommand({ forWhom: 'tester', name: 'ping', pluginName: 'optionalUser', args: [] });
+    assert.strictEqual(result.result, 'pong from optionalUser');
+    
+    console.log('✓ Versioned dependencies test passed');
+}
+
+/**
+ * Test discovery of plugin folders with plugin.json/package.json manifests and of ES module plugins
+ */
+async function testPluginPackages() {
+    console.log('Testing plugin packages...');
+    
+    const packagesDir = path.join(testDir, 'package-plugins');
+    const packagesPluginsDir = path.join(packagesDir, 'plugins');
+    fs.mkdirSync(packagesPluginsDir, { recursive: true });
+    
+    // Flat CommonJS file named through getName()
+    fs.writeFileSync(path.join(packagesPluginsDir, 'alpha.js'), `
+        module.exports = {
+            getName: () => "alphaPlugin",
+            getInstance: () => ({ whoAmI: () => "alpha" }),
+            getAllow: () => () => true
+        };
+    `);
+    
+    // Flat ES module with named exports
+    fs.writeFileSync(path.join(packagesPluginsDir, 'beta.mjs'), `
+        export function getInstance() {
+            return { whoAmI: () => "beta" };
+        }
+        export function getAllow() {
+            return () => true;
+        }
+    `);
+    
+    // Folder with plugin.json, named and versioned by its manifest
+    const gammaDir = path.join(packagesPluginsDir, 'gamma');
+    fs.mkdirSync(gammaDir);
+    fs.writeFileSync(path.join(gammaDir, 'plugin.json'), JSON.stringify({
+        name: 'gammaPlugin',
+        version: '2.1.0',
+        entry: 'main.js',
+        dependencies: ['alphaPlugin']
+    }));
+    fs.writeFileSync(path.join(gammaDir, 'main.js'), `
+        module.exports = {
+            getInstance: () => ({ whoAmI: () => "gamma" }),
+            getAllow: () => () => true
+        };
+    `);
+    
+    // Folder with a "type": "module" package.json and a default export
+    const deltaDir = path.join(packagesPluginsDir, 'delta');
+    fs.mkdirSync(deltaDir);
+    fs.writeFileSync(path.join(deltaDir, 'package.json'), JSON.stringify({
+        name: 'deltaPlugin',
+        version: '1.0.0',
+        type: 'module',
+        main: 'index.js',
+        pluginDependencies: [{ name: 'gammaPlugin', version: '^2.0.0' }]
+    }));
+    fs.writeFileSync(path.join(deltaDir, 'index.js'), `
+        export default {
+            getInstance: () => ({ whoAmI: () => "delta" }),
+            getAllow: () => () => true
+        };
+    `);
+    
+    const manager = new PluginManager(packagesDir);
+    await manager.init();
+    
+    for (const [pluginName, expected] of [['alphaPlugin', 'alpha'], ['beta', 'beta'], ['gammaPlugin', 'gamma'], ['deltaPlugin', 'delta']]) {
+        const result = await manager.executeCommand({ forWhom: 'tester', name: 'whoAmI', pluginName, args: [] });
+        assert.strictEqual(result.result, expected, `Plugin ${pluginName} should be discovered`);
+    }
+    
+    const service = await manager.describe();
+    assert.strictEqual(service.plugins.gammaPlugin.version, '2.1.0', 'Version should come from the manifest');
+    assert.deepStrictEqual(service.plugins.deltaPlugin.dependencies.map(dependency => dependency.name), ['gammaPlugin']);
+    
+    // A folder claiming the name of an existing flat plugin
+    const duplicateDir = path.join(packagesPluginsDir, 'alphaCopy');
+    fs.mkdirSync(duplicateDir);
+    fs.writeFileSync(path.join(duplicateDir, 'plugin.json'), JSON.stringify({ name: 'alphaPlugin' }));
+    fs.writeFileSync(path.join(duplicateDir, 'index.js'), `
+        module.exports = {
+            getInstance: () => ({}),
+            getAllow: () => () => true
+        };
+    `);
+    
+    await assert.rejects(new PluginManager(packagesDir).init(), (error) => {
+        assert.strictEqual(error.code, 'DUPLICATE_PLUGIN');
+        assert(error.message.includes('alphaPlugin'));
+        return true;
+    });
+    
+    console.log('✓ Plugin packages test passed');
+}
+
+/**
+ * Create a plugin file exporting the given healthCheck function source
+ */
+function createHealthCheckedPluginFile(pluginsDir, pluginName, healthCheckSource) {
+    const pluginCode = `
+        module.exports = {
+            getInstance: () => ({}),
+            getAllow: () => () => true,
+            healthCheck: ${healthCheckSource}
+        };
+    `;
+
+    fs.writeFileSync(path.join(pluginsDir, `${pluginName}.js`), pluginCode);
+}
+
+/**
+ * Test that health checks are aggregated per plugin with timeouts and drive readiness
+ */
+async function testHealthChecks() {
+    console.log('Testing health checks...');
+    
+    const healthDir = path.join(testDir, 'health-plugins');
+    const healthPluginsDir = path.join(healthDir, 'plugins');
+    fs.mkdirSync(healthPluginsDir, { recursive: true });
+    createHealthCheckedPluginFile(healthPluginsDir, 'healthy', 'async () => ({ status: "healthy", connections: 3 })');
+    
+    const manager = new PluginManager(healthDir, { healthCheckTimeout: 100 });
+    let health = await manager.checkHealth();
+    assert.strictEqual(health.ready, false, 'Manager should not be ready before init');
+    
+    await manager.init();
+    health = await manager.checkHealth();
+    assert.strictEqual(health.ready, true);
+    assert.strictEqual(health.plugins.healthy.status, 'healthy');
+    assert.strictEqual(health.plugins.healthy.details.connections, 3);
+    
+    createHealthCheckedPluginFile(healthPluginsDir, 'failing', '() => false');
+    createHealthCheckedPluginFile(healthPluginsDir, 'throwing', '() => { throw new Error("database down"); }');
+    createHealthCheckedPluginFile(healthPluginsDir, 'hanging', '() => new Promise(() => {})');
+    
+    const degradedManager = new PluginManager(healthDir, { healthCheckTimeout: 100 });
+    await degradedManager.init();
+    health = await degradedManager.checkHealth();
+    assert.strictEqual(health.ready, false, 'Unhealthy plugins should make the manager not ready');
+    assert.strictEqual(health.plugins.healthy.status, 'healthy');
+    assert.strictEqual(health.plugins.failing.status, 'unhealthy');
+    assert.strictEqual(health.plugins.throwing.error, 'database down');
+    assert(health.plugins.hanging.error.includes('timed out'), 'Hanging health checks should time out');
+    
+    console.log('✓ Health checks test passed');
+}
+
+/**
+ * Create a plugin whose getInstance takes a while and records how many instantiations overlap
+ */
+function createSlowPluginFile(pluginsDir, pluginName, dependencies) {
+    const pluginCode = `
+        function getDependencies() {
+            return ${JSON.stringify(dependencies)};
+        }
+
+        async function getInstance() {
+            const tracker = globalThis.initTracker;
+            tracker.active++;
+            tracker.maxActive = Math.max(tracker.maxActive, tracker.active);
+            tracker.started.push("${pluginName}");
+            await new Promise(resolve => setTimeout(resolve, 50));
+            tracker.active--;
+            tracker.finished.push("${pluginName}");
+            return {};
+        }
+
+        function getAllow() {
+            return function() { return true; };
+        }
+
+        module.exports = {
+            getDependencies,
+            getInstance,
+            getAllow
+        };
+    `;
+
+    fs.writeFileSync(path.join(pluginsDir, `${pluginName}.js`), pluginCode);
+}
+
+/**
+ * Test that independent plugins are instantiated concurrently, within the concurrency limit,
+ * and that a plugin only starts once all its dependencies are registered
+ */
+async function testParallelInitialization() {
+    console.log('Testing parallel initialization...');
+    
+    const parallelDir = path.join(testDir, 'parallel-plugins');
+    const parallelPluginsDir = path.join(parallelDir, 'plugins');
+    fs.mkdirSync(parallelPluginsDir, { recursive: true });
+    const independent = ['slow1', 'slow2', 'slow3', 'slow4'];
+    independent.forEach(pluginName => createSlowPluginFile(parallelPluginsDir, pluginName, []));
+    createSlowPluginFile(parallelPluginsDir, 'slowDependent', independent);
+    
+    globalThis.initTracker = { active: 0, maxActive: 0, started: [], finished: [] };
+    const manager = new PluginManager(parallelDir, { initConcurrency: 2 });
+    await manager.init();
+    
+    const tracker = globalThis.initTracker;
+    delete globalThis.initTracker;
+    assert.strictEqual(tracker.maxActive, 2, 'Independent plugins should be instantiated concurrently up to the limit');
+    assert.strictEqual(tracker.started[tracker.started.length - 1], 'slowDependent');
+    assert.strictEqual(tracker.finished.indexOf('slowDependent'), 4, 'Dependent plugin should start after its dependencies finished');
+    
+    const loadTimes = manager.getLoadTimes();
+    assert.deepStrictEqual(Object.keys(loadTimes).sort(), independent.concat('slowDependent').sort());
+    Object.keys(loadTimes).forEach(pluginName => {
+        assert(loadTimes[pluginName] >= 40, `Load time of ${pluginName} should be recorded`);
+    });
+    
+    console.log('✓ Parallel initialization test passed');
+}
+
+/**
+ * Test that a plugin failing to register does not stop init, that its dependents are skipped,
+ * and that commands to plugins which are not loaded name the root cause
+ */
+async function testDegradedMode() {
+    console.log('Testing degraded mode...');
+    
+    const degradedDir = path.join(testDir, 'degraded-plugins');
+    const degradedPluginsDir = path.join(degradedDir, 'plugins');
+    fs.mkdirSync(degradedPluginsDir, { recursive: true });
+    createPluginFile('pluginA', [], degradedPluginsDir);
+    fs.writeFileSync(path.join(degradedPluginsDir, 'broken.js'), `
+        module.exports = {
+            getDependencies: () => ['pluginA'],
+            getInstance: async () => { throw new Error('database unreachable'); },
+            getAllow: () => () => true
+        };
+    `);
+    createPluginFile('brokenDependent', ['broken'], degradedPluginsDir);
+    createPluginFile('transitiveDependent', ['brokenDependent'], degradedPluginsDir);
+    createPluginFile('optionalFeature', [], degradedPluginsDir);
+    
+    const manager = new PluginManager(degradedDir, { disabledPlugins: ['optionalFeature'] });
+    await manager.init();
+    
+    const statuses = manager.getPluginStatuses();
+    assert.strictEqual(statuses.pluginA.status, 'loaded');
+    assert.strictEqual(statuses.broken.status, 'failed');
+    assert.strictEqual(statuses.broken.error, 'database unreachable');
+    assert.strictEqual(statuses.brokenDependent.status, 'skipped-dependency-failed');
+    assert.strictEqual(statuses.brokenDependent.rootCause, 'broken');
+    assert.strictEqual(statuses.transitiveDependent.status, 'skipped-dependency-failed');
+    assert.strictEqual(statuses.transitiveDependent.rootCause, 'broken', 'Root cause should be the plugin that failed');
+    assert.strictEqual(statuses.optionalFeature.status, 'disabled');
+    
+    const result = await manager.executeCommand({ pluginName: 'pluginA', name: 'testMethod', args: [] });
+    assert.strictEqual(result.result, 'Hello from pluginA', 'Loaded plugins should keep serving commands');
+    
+    try {
+        await manager.executeCommand({ pluginName: 'transitiveDependent', name: 'testMethod', args: [] });
+        assert.fail('Commands to a skipped plugin should fail');
+    } catch (error) {
+        assert.strictEqual(error.statusCode, 503);
+        assert.strictEqual(error.code, 'PLUGIN_UNAVAILABLE');
+        assert.strictEqual(error.rootCause, 'broken');
+        assert(error.message.includes('database unreachable'), 'Error should include the root cause error');
+    }
+    
+    try {
+        await manager.executeCommand({ pluginName: 'optionalFeature', name: 'testMethod', args: [] });
+        assert.fail('Commands to a disabled plugin should fail');
+    } catch (error) {
+        assert.strictEqual(error.statusCode, 503);
+        assert(error.message.includes('disabled'));
+    }
+    
+    const health = await manager.checkHealth();
+    assert.strictEqual(health.ready, false, 'Failed plugins should make the manager not ready');
+    assert.strictEqual(health.plugins.broken.status, 'failed');
+    assert.strictEqual(health.plugins.optionalFeature.status, 'disabled');
+    
+    console.log('✓ Degraded mode test passed');
+}
+
+/**
+ * Test that the inventory lists every discovered plugin, loaded or not
+ */
+async function testPluginInventory() {
+    console.log('Testing plugin inventory...');
+    
+    const inventoryDir = path.join(testDir, 'inventory-plugins');
+    const inventoryPluginsDir = path.join(inventoryDir, 'plugins');
+    fs.mkdirSync(inventoryPluginsDir, { recursive: true });
+    createPluginFile('pluginA', [], inventoryPluginsDir);
+    createPluginFile('pluginB', ['pluginA'], inventoryPluginsDir);
+    createPluginFile('pluginC', ['pluginA', 'pluginB'], inventoryPluginsDir);
+    
+    const manager = new PluginManager(inventoryDir, { disabledPlugins: ['pluginC'] });
+    await manager.init();
+    
+    const inventory = await manager.listPlugins();
+    assert.deepStrictEqual(inventory.map(entry => entry.name).sort(), ['pluginA', 'pluginB', 'pluginC']);
+    
+    const pluginA = await manager.getPluginDetails('pluginA');
+    assert.strictEqual(pluginA.status, 'loaded');
+    assert.strictEqual(pluginA.path, path.join(inventoryPluginsDir, 'pluginA.js'));
+    assert.strictEqual(pluginA.loadOrder, 0);
+    assert.strictEqual(typeof pluginA.loadDuration, 'number');
+    assert.deepStrictEqual(pluginA.dependencies, []);
+    assert.deepStrictEqual(pluginA.dependents, ['pluginB']);
+    
+    const pluginB = await manager.getPluginDetails('pluginB');
+    assert.strictEqual(pluginB.loadOrder, 1);
+    assert.deepStrictEqual(pluginB.dependencies.map(dependency => dependency.name), ['pluginA']);
+    
+    const pluginC = await manager.getPluginDetails('pluginC');
+    assert.strictEqual(pluginC.status, 'disabled');
+    assert.strictEqual(pluginC.loadOrder, undefined);
+    assert.deepStrictEqual(pluginC.methods, []);
+    
+    try {
+        await manager.getPluginDetails('missing');
+        assert.fail('Unknown plugins should be reported');
+    } catch (error) {
+        assert.strictEqual(error.statusCode, 404);
+    }
+    
+    console.log('✓ Plugin inventory test passed');
+}
+
+/**
+ * Test that commands fail with a 504 error when their deadline passes and that the plugin method
+ * is told to stop through the abort signal of its command context
+ */
+async function testCommandTimeouts() {
+    console.log('Testing command timeouts...');
+    
+    const timeoutDir = path.join(testDir, 'timeout-plugins');
+    const timeoutPluginsDir = path.join(timeoutDir, 'plugins');
+    fs.mkdirSync(timeoutPluginsDir, { recursive: true });
+    fs.writeFileSync(path.join(timeoutPluginsDir, 'sleeper.js'), `
+        const sleep = (ms) => new Promise(resolve => {
+            const signal = $$.getCommandContext().signal;
+            const timer = setTimeout(resolve, ms);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                globalThis.abortedCommands.push(signal.reason.code);
+                resolve();
+            });
+        });
+        
+        module.exports = {
+            getInstance: () => ({
+                sleep: async (ms) => { await sleep(ms); return 'awake'; },
+                patientSleep: async (ms) => { await sleep(ms); return 'awake'; },
+                getDeadline: () => $$.getCommandContext().deadline
+            }),
+            getAllow: () => () => true,
+            getTimeouts: () => ({ patientSleep: 300 })
+        };
+    `);
+    
+    globalThis.abortedCommands = [];
+    const manager = new PluginManager(timeoutDir, { commandTimeout: 100 });
+    await manager.init();
+    
+    let result = await manager.executeCommand({ pluginName: 'sleeper', name: 'sleep', args: [10] });
+    assert.strictEqual(result.result, 'awake');
+    
+    try {
+        await manager.executeCommand({ pluginName: 'sleeper', name: 'sleep', args: [1000] });
+        assert.fail('Command should time out');
+    } catch (error) {
+        assert.strictEqual(error.statusCode, 504);
+        assert.strictEqual(error.code, 'COMMAND_TIMEOUT');
+    }
+    assert.deepStrictEqual(globalThis.abortedCommands, ['COMMAND_TIMEOUT'], 'Plugin should receive the abort signal');
+    
+    result = await manager.executeCommand({ pluginName: 'sleeper', name: 'patientSleep', args: [200] });
+    assert.strictEqual(result.result, 'awake', 'Per-method timeouts should override the default');
+    
+    try {
+        await manager.executeCommand({ pluginName: 'sleeper', name: 'patientSleep', args: [200], options: { timeout: 50 } });
+        assert.fail('Client deadline should shorten the timeout');
+    } catch (error) {
+        assert.strictEqual(error.statusCode, 504);
+    }
+    
+    try {
+        await manager.executeCommand({ pluginName: 'sleeper', name: 'sleep', args: [10], options: { timeout: 'soon' } });
+        assert.fail('Invalid client deadlines should be rejected');
+    } catch (error) {
+        assert.strictEqual(error.statusCode, 400);
+    }
+    
+    const unlimited = new PluginManager(timeoutDir);
+    await unlimited.init();
+    result = await unlimited.executeCommand({ pluginName: 'sleeper', name: 'getDeadline', args: [] });
+    assert.strictEqual(result.result, undefined, 'Commands should have no deadline unless one is configured');
+    result = await unlimited.executeCommand({ pluginName: 'sleeper', name: 'getDeadline', args: [], options: { timeout: 1000 } });
+    assert(result.result > Date.now(), 'A client deadline should apply without a default timeout');
+    
+    assert.strictEqual($$.getCommandContext(), undefined, 'No command context outside of a command');
+    delete globalThis.abortedCommands;
+    
+    console.log('✓ Command timeouts test passed');
+}
+
+/**
+ * Test token-bucket and concurrency quotas from the configuration and from the plugin itself
+ */
+async function testRateLimits() {
+    console.log('Testing rate limits...');
+    
+    const limitsDir = path.join(testDir, 'limits-plugins');
+    const limitsPluginsDir = path.join(limitsDir, 'plugins');
+    fs.mkdirSync(limitsPluginsDir, { recursive: true });
+    fs.writeFileSync(path.join(limitsPluginsDir, 'limited.js'), `
+        module.exports = {
+            getInstance: () => ({
+                ping: async () => 'pong',
+                slow: () => new Promise(resolve => setTimeout(() => resolve('done'), 50))
+            }),
+            getAllow: () => (forWhom, email, name, ...args) => args[0] !== 'denied',
+            getLimits: () => [{ name: 'slow', maxConcurrent: 1 }]
+        };
+    `);
+    
+    const manager = new PluginManager(limitsDir, {
+        rateLimits: [{ pluginName: 'limited', name: 'ping', by: ['forWhom'], rate: 2, interval: 60000 }]
+    });
+    await manager.init();
+    
+    const ping = (forWhom, ...args) => ({ pluginName: 'limited', name: 'ping', forWhom, args });
+    await manager.executeCommand(ping('tenant1'));
+    await manager.executeCommand(ping('tenant1'));
+    try {
+        await manager.executeCommand(ping('tenant1'));
+        assert.fail('Third call within the interval should be rate limited');
+    } catch (error) {
+        assert.strictEqual(error.statusCode, 429);
+        assert.strictEqual(error.code, 'RATE_LIMITED');
+        assert(error.retryAfter > 0 && error.retryAfter <= 30, 'Error should carry a retry-after hint');
+    }
+    const result = await manager.executeCommand(ping('tenant2'));
+    assert.strictEqual(result.result, 'pong', 'Other callers should keep their own quota');
+    for (let i = 0; i < 3; i++) {
+        await assert.rejects(manager.executeCommand(ping('tenant3', 'denied')), error => error.statusCode === 403);
+    }
+    await manager.executeCommand(ping('tenant3'));
+    assert.strictEqual((await manager.executeCommand(ping('tenant3'))).result, 'pong', 'Denied calls should not use up the quota');
+    
+    const slow = { pluginName: 'limited', name: 'slow', args: [] };
+    const results = await manager.executeBatch([slow, slow], { mode: 'parallel' });
+    assert.strictEqual(results[0].statusCode, 200);
+    assert.strictEqual(results[1].statusCode, 429, 'Plugin declared concurrency limits should apply');
+    assert.strictEqual(results[1].result.retryAfter, 1);
+    const afterwards = await manager.executeCommand(slow);
+    assert.strictEqual(afterwards.result, 'done', 'Concurrency slots should be released');
+    await assert.rejects(manager.executeCommand({ ...slow, options: { timeout: 10 } }), error => error.statusCode === 504);
+    await assert.rejects(manager.executeCommand(slow), error => error.statusCode === 429, 'A timed out method still running should keep its slot');
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.strictEqual((await manager.executeCommand(slow)).result, 'done', 'The slot should be released once the method settles');
+    
+    assert.throws(() => new PluginManager(limitsDir, { rateLimits: [{ by: ['tenant'], rate: 1 }] }), /Invalid rate limit/);
+    
+    console.log('✓ Rate limits test passed');
+}
+
+/**
+ * Sign a JWT with an HMAC secret
+ */
+function signJWT(claims, secret, alg = 'HS256') {
+    const crypto = require('crypto');
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+    const digest = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' }[alg];
+    return `${unsigned}.${crypto.createHmac(digest, secret).update(unsigned).digest('base64url')}`;
+}
+
+/**
+ * Test that the caller identity comes from a verified JWT or API key and not from the command body
+ */
+async function testAuthentication() {
+    console.log('Testing authentication...');
+    
+    const authDir = path.join(testDir, 'auth');
+    fs.mkdirSync(authDir, { recursive: true });
+    const apiKeysFile = path.join(authDir, 'api-keys.json');
+    fs.writeFileSync(apiKeysFile, JSON.stringify([{ key: 'service-key', forWhom: 'reportingService' }]));
+    
+    const secret = 'test-secret';
+    const authenticator = new Authenticator({ jwt: { secret, issuer: 'tests' }, apiKeysFile });
+    const request = (authorization) => ({ headers: authorization ? { authorization } : {} });
+    const expectAuthError = async (authorization, statusCode, pattern) => {
+        await assert.rejects(authenticator.authenticate(request(authorization)), error => {
+            return error.statusCode === statusCode && pattern.test(error.message);
+        });
+    };
+    
+    const now = Math.floor(Date.now() / 1000);
+    const token = signJWT({ sub: 'alice', email: 'alice@example.com', iss: 'tests', exp: now + 60 }, secret);
+    let identity = await authenticator.authenticate(request(`Bearer ${token}`));
+    assert.strictEqual(identity.forWhom, 'alice');
+    assert.strictEqual(identity.email, 'alice@example.com');
+    
+    await expectAuthError(undefined, 401, /Missing/);
+    await expectAuthError(`Bearer ${signJWT({ sub: 'alice', iss: 'tests' }, 'other-secret')}`, 401, /signature/);
+    await expectAuthError(`Bearer ${signJWT({ sub: 'alice', iss: 'tests', exp: now - 120 }, secret)}`, 401, /expired/);
+    await expectAuthError(`Bearer ${signJWT({ sub: 'alice', iss: 'others' }, secret)}`, 401, /issuer/);
+    await expectAuthError(`Bearer ${signJWT({ sub: 'alice', iss: 'tests' }, secret, 'HS512')}`, 401, /algorithm/);
+    const [, payload, signature] = signJWT({ sub: 'alice', iss: 'tests' }, secret).split('.');
+    await expectAuthError(`Bearer ${Buffer.from('null').toString('base64url')}.${payload}.${signature}`, 401, /malformed/);
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+    const nullPayload = Buffer.from('null').toString('base64url');
+    const nullSignature = require('crypto').createHmac('sha256', secret).update(`${header}.${nullPayload}`).digest('base64url');
+    await expectAuthError(`Bearer ${header}.${nullPayload}.${nullSignature}`, 401, /malformed/);
+    
+    identity = await authenticator.authenticate(request('ApiKey service-key'));
+    assert.strictEqual(identity.forWhom, 'reportingService');
+    await expectAuthError('ApiKey stolen-key', 401, /Invalid API key/);
+    
+    const command = authenticator.applyIdentity({ pluginName: 'pluginA', name: 'testMethod', args: [] }, { forWhom: 'alice', email: 'alice@example.com' });
+    assert.strictEqual(command.forWhom, 'alice', 'Identity should fill in forWhom');
+    assert.strictEqual(command.options.email, 'alice@example.com', 'Identity should fill in the email');
+    assert.throws(() => authenticator.applyIdentity({ forWhom: 'mallory' }, { forWhom: 'alice' }), error => {
+        return error.statusCode === 403 && error.code === 'IDENTITY_MISMATCH';
+    });
+    
+    const optional = new Authenticator({ jwt: { secret }, optional: true });
+    assert.strictEqual(await optional.authenticate(request()), null, 'Anonymous requests pass when authentication is optional');
+    const anonymous = optional.applyIdentity({ forWhom: 'alice', pluginName: 'pluginA', name: 'testMethod', args: [], options: { email: 'alice@example.com', timeout: 1000 } }, await optional.authenticate(request()));
+    assert.strictEqual(anonymous.forWhom, undefined, 'An anonymous request should not act as the user it claims');
+    assert.strictEqual(anonymous.options.email, undefined, 'An anonymous request should not keep the email it claims');
+    assert.strictEqual(anonymous.options.timeout, 1000);
+    
+    console.log('✓ Authentication test passed');
+}
+
+/**
+ * Test that every command leaves a redacted audit record and that the log rotates and can be queried
+ */
+async function testAuditLog() {
+    console.log('Testing audit log...');
+    
+    const auditDir = path.join(testDir, 'audit-plugins');
+    const auditPluginsDir = path.join(auditDir, 'plugins');
+    fs.mkdirSync(auditPluginsDir, { recursive: true });
+    fs.writeFileSync(path.join(auditPluginsDir, 'accounts.js'), `
+        module.exports = {
+            getInstance: () => ({
+                login: async (user, password) => password === 'secret',
+                remove: async (user) => { throw new Error('Cannot remove ' + user); }
+            }),
+            getAllow: () => (forWhom, email, name) => !(forWhom === 'guest' && name === 'remove')
+        };
+    `);
+    
+    const manager = new PluginManager(auditDir, {
+        audit: { maxFileSize: 600, maxFiles: 3, redact: [{ pluginName: 'accounts', name: 'login', args: [1] }] }
+    });
+    await manager.init();
+    
+    await manager.executeCommand({ forWhom: 'admin', pluginName: 'accounts', name: 'login', args: ['alice', 'secret'] });
+    await assert.rejects(manager.executeCommand({ forWhom: 'admin', pluginName: 'accounts', name: 'remove', args: ['alice'] }));
+    await assert.rejects(manager.executeCommand({ forWhom: 'guest', pluginName: 'accounts', name: 'remove', args: ['alice'] }));
+    
+    let records = await manager.queryAuditLog();
+    assert.strictEqual(records.length, 3);
+    const [denied, failed, login] = records;
+    assert.strictEqual(login.forWhom, 'admin');
+    assert.strictEqual(login.name, 'login');
+    assert.strictEqual(login.allowed, true);
+    assert.strictEqual(login.outcome, 'success');
+    assert.strictEqual(login.operationType, 'sync');
+    assert.deepStrictEqual(login.args, ['alice', '[REDACTED]'], 'Redacted arguments should not be stored');
+    assert.strictEqual(login.argsHash, require('crypto').createHash('sha256').update(JSON.stringify(['alice', 'secret'])).digest('hex'));
+    assert.strictEqual(typeof login.duration, 'number');
+    assert(!Number.isNaN(Date.parse(login.timestamp)));
+    assert.strictEqual(failed.outcome, 'error');
+    assert.strictEqual(failed.error.message, 'Cannot remove alice');
+    assert.strictEqual(denied.allowed, false);
+    
+    records = await manager.queryAuditLog({ forWhom: 'guest' });
+    assert.deepStrictEqual(records.map(record => record.forWhom), ['guest']);
+    
+    for (let i = 0; i < 10; i++) {
+        await manager.executeCommand({ forWhom: 'bulk', pluginName: 'accounts', name: 'login', args: ['bob', 'wrong'] });
+    }
+    records = await manager.queryAuditLog({ forWhom: 'bulk', limit: 4 });
+    assert.strictEqual(records.length, 4);
+    const auditFiles = fs.readdirSync(path.join(auditDir, 'audit')).sort();
+    assert.deepStrictEqual(auditFiles, ['audit.1.jsonl', 'audit.2.jsonl', 'audit.jsonl'], 'Audit files should rotate and be capped');
+    
+    const withoutAudit = new PluginManager(auditDir);
+    await assert.rejects(withoutAudit.queryAuditLog(), error => error.statusCode === 404);
+    
+    console.log('✓ Audit log test passed');
+}
+
+/**
+ * Test that recorded traffic replays cleanly against the same plugins and that changed responses are reported
+ */
+async function testRecordAndReplay() {
+    console.log('Testing record and replay...');
+    
+    const writeCalculator = (storage, addSource) => {
+        fs.mkdirSync(path.join(storage, 'plugins'), { recursive: true });
+        fs.writeFileSync(path.join(storage, 'plugins', 'calculator.js'), `
+            module.exports = {
+                getInstance: () => ({
+                    add: (a, b) => ${addSource},
+                    divide: (a, b) => {
+                        if (b === 0) {
+                            throw new Error('Division by zero');
+                        }
+                        return a / b;
+                    },
+                    later: () => ({ constructor: { name: 'SlowResponse' }, getCallId: () => Math.random().toString() })
+                }),
+                getAllow: () => () => true
+            };
+        `);
+    };
+    const replayDir = path.join(testDir, 'replay-plugins');
+    writeCalculator(replayDir, 'a + b');
+    
+    const manager = new PluginManager(replayDir);
+    await manager.init();
+    const recordedFile = path.join(replayDir, 'recorded', 'traffic.jsonl');
+    const recorder = new TrafficRecorder(recordedFile);
+    const commands = [
+        { pluginName: 'calculator', name: 'add', args: [1, 2] },
+        { pluginName: 'calculator', name: 'divide', args: [1, 0] },
+        { pluginName: 'calculator', name: 'later', args: [] }
+    ];
+    for (const command of commands) {
+        try {
+            const pluginResult = await manager.executeCommand(command);
+            recorder.record(command, { statusCode: 200, operationType: pluginResult.operationType, result: pluginResult.result });
+        } catch (error) {
+            recorder.record(command, { statusCode: errors.getStatusCode(error), result: errors.toErrorResult(error, true) });
+        }
+    }
+    await recorder.flush();
+    fs.appendFileSync(recordedFile, 'not json\n');
+    
+    let report = await TrafficRecorder.replay(manager, recordedFile);
+    assert.strictEqual(report.total, 3);
+    assert.strictEqual(report.matched, 3, 'Callids and stacks should not count as differences');
+    assert.deepStrictEqual(report.invalidLines, [4]);
+    
+    const upgradedDir = path.join(testDir, 'replay-upgraded-plugins');
+    writeCalculator(upgradedDir, 'a - b');
+    const upgraded = new PluginManager(upgradedDir);
+    await upgraded.init();
+    report = await TrafficRecorder.replay(upgraded, recordedFile);
+    assert.strictEqual(report.matched, 2);
+    assert.strictEqual(report.differences.length, 1);
+    assert.strictEqual(report.differences[0].line, 1);
+    assert.strictEqual(report.differences[0].expected.result, 3);
+    assert.strictEqual(report.differences[0].actual.result, -1);
+    
+    const redactedFile = path.join(replayDir, 'recorded', 'redacted.jsonl');
+    const redactingRecorder = new TrafficRecorder(redactedFile, { redact: [{ pluginName: 'calculator', name: 'add', args: [1] }] });
+    await redactingRecorder.record(commands[0], { statusCode: 200, operationType: 'sync', result: 3 });
+    await redactingRecorder.record(commands[1], { statusCode: 400, result: { message: 'Division by zero' } });
+    const [added, divided] = fs.readFileSync(redactedFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(added.command.args, [1, '[REDACTED]'], 'Redaction rules should apply to the recorded arguments');
+    assert.deepStrictEqual(divided.command.args, [1, 0]);
+    assert.deepStrictEqual(commands[0].args, [1, 2], 'Redaction should not change the command');
+    
+    console.log('✓ Record and replay test passed');
+}
+
+/**
+ * Test that log records are JSON lines filtered by level and carry the correlation id of the command
+ */
+async function testLogging() {
+    console.log('Testing structured logging...');
+    
+    const loggingDir = path.join(testDir, 'logging-plugins');
+    const loggingPluginsDir = path.join(loggingDir, 'plugins');
+    fs.mkdirSync(loggingPluginsDir, { recursive: true });
+    fs.writeFileSync(path.join(loggingPluginsDir, 'chatty.js'), `
+        const logger = $$.getLogger('chatty');
+        module.exports = {
+            getInstance: () => ({
+                talk: (secret) => {
+                    logger.info('Talking', { words: 2 });
+                    logger.debug('Hidden details');
+                    return 'done';
+                }
+            }),
+            getAllow: () => () => true
+        };
+    `);
+    
+    const manager = new PluginManager(loggingDir);
+    await manager.init();
+    
+    const lines = [];
+    const originalWrite = process.stdout.write;
+    process.stdout.write = (chunk, ...args) => {
+        lines.push(chunk.toString());
+        return true;
+    };
+    try {
+        await CommandContext.run({ correlationId: 'request-42' }, () => {
+            return manager.executeCommand({ pluginName: 'chatty', name: 'talk', args: ['password'] });
+        });
+        Logger.getLogger('outside').info('No request');
+        Logger.getLogger('outside').child({ msg: 'bound' }).info('Reserved fields', { level: 'debug', time: 'yesterday' });
+    } finally {
+        process.stdout.write = originalWrite;
+    }
+    
+    const records = lines.map(line => JSON.parse(line));
+    const talking = records.find(record => record.msg === 'Talking');
+    assert(talking, 'Plugin logger should write JSON records');
+    assert.strictEqual(talking.module, 'chatty');
+    assert.strictEqual(talking.level, 'info');
+    assert.strictEqual(talking.words, 2);
+    assert.strictEqual(talking.correlationId, 'request-42', 'Records should carry the correlation id of the command');
+    assert(!records.some(record => record.msg === 'Hidden details'), 'Debug records should be filtered at the info level');
+    assert(!lines.some(line => line.includes('password')), 'Command payloads should not be logged');
+    assert.strictEqual(records.find(record => record.msg === 'No request').correlationId, undefined);
+    const reserved = records.find(record => record.msg === 'Reserved fields');
+    assert(reserved, 'Bindings should not overwrite the message');
+    assert.strictEqual(reserved.level, 'info', 'Fields should not overwrite the level');
+    assert.notStrictEqual(reserved.time, 'yesterday', 'Fields should not overwrite the time');
+    assert.throws(() => Logger.setLevel('verbose'), /Unknown log level/);
+    
+    console.log('✓ Structured logging test passed');
+}
+
+/**
+ * Test that commands, denials and plugin registrations are reported in the Prometheus text format
+ */
+async function testMetrics() {
+    console.log('Testing metrics...');
+    
+    const metricsDir = path.join(testDir, 'metrics-plugins');
+    const metricsPluginsDir = path.join(metricsDir, 'plugins');
+    fs.mkdirSync(metricsPluginsDir, { recursive: true });
+    fs.writeFileSync(path.join(metricsPluginsDir, 'metered.js'), `
+        module.exports = {
+            getInstance: () => ({
+                work: async () => 'done',
+                fail: async () => { throw new Error('broken'); }
+            }),
+            getAllow: () => (forWhom) => forWhom !== 'intruder'
+        };
+    `);
+    
+    const manager = new PluginManager(metricsDir);
+    await manager.init();
+    await manager.executeCommand({ pluginName: 'metered', name: 'work', args: [] });
+    await manager.executeCommand({ pluginName: 'metered', name: 'work', args: [] });
+    await assert.rejects(manager.executeCommand({ pluginName: 'metered', name: 'fail', args: [] }));
+    await assert.rejects(manager.executeCommand({ forWhom: 'intruder', pluginName: 'metered', name: 'work', args: [] }));
+    await assert.rejects(manager.executeCommand({ pluginName: 'metered', name: 'random-name-1', args: [] }));
+    
+    const text = Metrics.getInstance().render();
+    assert(text.includes('# TYPE serverless_commands_total counter'));
+    assert(text.includes('serverless_commands_total{plugin="metered",method="work",status="200"} 2'));
+    assert(text.includes('serverless_commands_total{plugin="metered",method="fail",status="500"} 1'));
+    assert(text.includes('serverless_allow_denials_total{plugin="metered",method="work"} 1'));
+    assert(text.includes('serverless_commands_total{plugin="metered",method="work",status="403"} 1'));
+    assert(text.includes('serverless_commands_total{plugin="metered",method="unknown",status="404"} 1'), 'Unknown methods should not create new series');
+    assert(text.includes('serverless_command_duration_seconds_bucket{plugin="metered",method="work",status="200",le="+Inf"} 2'));
+    assert(text.includes('serverless_command_duration_seconds_count{plugin="metered",method="work",status="200"} 2'));
+    assert(text.includes('serverless_commands_in_flight{plugin="metered"} 0'));
+    assert(/serverless_plugin_init_duration_seconds\{plugin="metered"\} [0-9.]+/.test(text));
+    assert(text.includes('# TYPE serverless_active_responses gauge'));
+    
+    const merged = Metrics.render(Metrics.mergeSnapshots({ first: Metrics.getInstance().snapshot() }));
+    assert(merged.includes('serverless_commands_total{process="first",plugin="metered",method="work",status="200"} 2'));
+    
+    console.log('✓ Metrics test passed');
+}
+
+/**
+ * Test spans of executeCommand and the propagation of the trace context
+ */
+async function testTracing() {
+    console.log('Testing tracing...');
+    
+    const tracingDir = path.join(testDir, 'tracing-plugins');
+    const tracingPluginsDir = path.join(tracingDir, 'plugins');
+    fs.mkdirSync(tracingPluginsDir, { recursive: true });
+    fs.writeFileSync(path.join(tracingPluginsDir, 'traced.js'), `
+        const Tracer = require(${JSON.stringify(path.join(__dirname, '../lib/Tracer'))});
+        module.exports = {
+            getInstance: () => ({
+                whereAmI: async () => Tracer.getTraceparent()
+            }),
+            getAllow: () => (forWhom) => forWhom !== 'intruder'
+        };
+    `);
+    
+    assert.strictEqual(Tracer.parseTraceparent('not-a-traceparent'), null);
+    assert.strictEqual(Tracer.parseTraceparent(`00-${'0'.repeat(32)}-00f067aa0ba902b7-01`), null);
+    
+    const spansFile = path.join(tracingDir, 'spans.jsonl');
+    Tracer.configure({ file: spansFile });
+    try {
+        const manager = new PluginManager(tracingDir);
+        await manager.init();
+        
+        const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+        const incoming = `00-${traceId}-00f067aa0ba902b7-01`;
+        const { result } = await CommandContext.run({ traceparent: incoming }, () => {
+            return manager.executeCommand({ pluginName: 'traced', name: 'whereAmI', args: [] });
+        });
+        const forwarded = Tracer.parseTraceparent(result);
+        assert(forwarded, 'The plugin method should see an active trace context');
+        assert.strictEqual(forwarded.traceId, traceId);
+        
+        await assert.rejects(manager.executeCommand({ forWhom: 'intruder', pluginName: 'traced', name: 'whereAmI', args: [] }));
+        // Exports the spans still waiting for the periodic export
+        await Tracer.shutdown();
+        
+        const spans = fs.readFileSync(spansFile, 'utf8').trim().split('\n')
+            .map(line => JSON.parse(line))
+            .reduce((all, request) => all.concat(request.resourceSpans[0].scopeSpans[0].spans), []);
+        const traced = spans.filter(span => span.traceId === traceId);
+        const commandSpan = traced.find(span => span.name === 'executeCommand');
+        const allowSpan = traced.find(span => span.name === 'allow');
+        const methodSpan = traced.find(span => span.name === 'traced.whereAmI');
+        assert(commandSpan && allowSpan && methodSpan, 'executeCommand, allow and the method should have spans');
+        assert.strictEqual(commandSpan.parentSpanId, '00f067aa0ba902b7');
+        assert.strictEqual(allowSpan.parentSpanId, commandSpan.spanId);
+        assert.strictEqual(methodSpan.parentSpanId, commandSpan.spanId);
+        assert.strictEqual(forwarded.spanId, methodSpan.spanId);
+        assert.strictEqual(commandSpan.kind, 2);
+        assert.strictEqual(commandSpan.status.code, 1);
+        assert(BigInt(commandSpan.endTimeUnixNano) >= BigInt(commandSpan.startTimeUnixNano));
+        
+        const deniedSpan = spans.find(span => span.name === 'executeCommand' && span.traceId !== traceId);
+        assert(deniedSpan, 'A command without traceparent should start a new trace');
+        assert.strictEqual(deniedSpan.parentSpanId, undefined);
+        assert.strictEqual(deniedSpan.status.code, 2);
+    } finally {
+        Tracer.configure({});
+    }
+    
+    console.log('✓ Tracing test passed');
+}
+
+/**
+ * Test global, per plugin and plugin exported interceptors
+ */
+async function testInterceptors() {
+    console.log('Testing interceptors...');
+    
+    const interceptorsDir = path.join(testDir, 'interceptor-plugins');
+    const interceptorsPluginsDir = path.join(interceptorsDir, 'plugins');
+    fs.mkdirSync(interceptorsPluginsDir, { recursive: true });
+    fs.writeFileSync(path.join(interceptorsPluginsDir, 'greeter.js'), `
+        module.exports = {
+            getInstance: () => ({
+                greet: async (name) => 'Hello ' + name,
+                fail: async () => { throw new Error('internal details'); }
+            }),
+            getAllow: () => (forWhom) => forWhom !== 'intruder',
+            getInterceptors: () => [async (command, next) => {
+                command.options.calls.push('plugin');
+                try {
+                    return await next();
+                } catch (error) {
+                    throw new Error('greeter failed');
+                }
+            }]
+        };
+    `);
+    fs.writeFileSync(path.join(interceptorsPluginsDir, 'other.js'), `
+        module.exports = {
+            getInstance: () => ({ ping: async () => 'pong' }),
+            getAllow: () => () => true
+        };
+    `);
+    
+    const manager = new PluginManager(interceptorsDir, {
+        interceptors: [async (command, next) => {
+            command.options.calls.push('global');
+            return await next();
+        }]
+    });
+    await manager.init();
+    
+    const removeUppercase = manager.addInterceptor(async (command, next) => {
+        command.options.calls.push('greeter');
+        const result = await next({ ...command, args: command.args.map(arg => arg.toUpperCase()) });
+        return result + '!';
+    }, { pluginName: 'greeter' });
+    
+    let calls = [];
+    let ret = await manager.executeCommand({ pluginName: 'greeter', name: 'greet', args: ['ann'], options: { calls } });
+    assert.strictEqual(ret.result, 'Hello ANN!', 'Interceptors should rewrite the arguments and transform the result');
+    assert.deepStrictEqual(calls, ['global', 'greeter', 'plugin']);
+    
+    calls = [];
+    ret = await manager.executeCommand({ pluginName: 'other', name: 'ping', args: [], options: { calls } });
+    assert.strictEqual(ret.result, 'pong');
+    assert.deepStrictEqual(calls, ['global'], 'Per plugin interceptors should not run for other plugins');
+    
+    await assert.rejects(
+        manager.executeCommand({ pluginName: 'greeter', name: 'fail', args: [], options: { calls: [] } }),
+        error => error.message === 'greeter failed'
+    );
+    await assert.rejects(
+        manager.executeCommand({ forWhom: 'intruder', pluginName: 'greeter', name: 'greet', args: ['ann'], options: { calls: [] } }),
+        error => error.message === 'greeter failed',
+        'The allow check should run inside the interceptors'
+    );
+    
+    removeUppercase();
+    const removeShortCircuit = manager.addInterceptor(async (command) => 'from cache', { pluginName: 'greeter' });
+    ret = await manager.executeCommand({ forWhom: 'intruder', pluginName: 'greeter', name: 'greet', args: ['ann'], options: { calls: [] } });
+    assert.strictEqual(ret.result, 'from cache', 'An interceptor should be able to short-circuit the command');
+    removeShortCircuit();
+    
+    manager.addInterceptor(async (command, next) => next({ ...command, pluginName: 'other', name: 'ping' }));
+    await assert.rejects(
+        manager.executeCommand({ pluginName: 'greeter', name: 'greet', args: ['ann'], options: { calls: [] } }),
+        error => error.message === 'greeter failed',
+        'Interceptors should not redirect a command to another plugin'
+    );
+    
+    assert.throws(() => manager.addInterceptor('not a function'), /must be a function/);
+    
+    console.log('✓ Interceptors test passed');
+}
+
+/**
+ * Test the RBAC policy file, its strategies, its reload and explainAccess
+ */
+async function testAccessPolicy() {
+    console.log('Testing access policy...');
+    
+    const policyDir = path.join(testDir, 'policy-plugins');
+    const policyPluginsDir = path.join(policyDir, 'plugins');
+    fs.mkdirSync(policyPluginsDir, { recursive: true });
+    fs.writeFileSync(path.join(policyPluginsDir, 'accounts.js'), `
+        module.exports = {
+            getInstance: () => ({
+                getBalance: async () => 100,
+                getSecrets: async () => 'secret',
+                close: async () => 'closed'
+            }),
+            getAllow: () => (forWhom) => forWhom !== 'mallory'
+        };
+    `);
+    const policyFile = path.join(policyDir, 'policy.yaml');
+    fs.writeFileSync(policyFile, `
+# Readers may read, except the secrets
+roles:
+  reader:
+    allow: [accounts.get*]
+    deny:
+      - accounts.getSecrets
+users:
+  alice: [reader]
+  mallory: [reader]
+  hasOwnProperty: [reader]
+`);
+    
+    const unconfigured = new PluginManager(policyDir);
+    await unconfigured.init();
+    assert.strictEqual((await unconfigured.executeCommand({ forWhom: 'alice', pluginName: 'accounts', name: 'getSecrets', args: [] })).result, 'secret', 'A policy file should only apply when it is configured');
+    
+    const manager = new PluginManager(policyDir, { accessPolicy: { file: 'policy.yaml', watchInterval: 50 } });
+    await manager.init();
+    const run = (forWhom, name) => manager.executeCommand({ forWhom, pluginName: 'accounts', name, args: [] });
+    
+    assert.strictEqual((await run('alice', 'getBalance')).result, 100);
+    await assert.rejects(run('alice', 'getSecrets'), /not allowed/);
+    assert.strictEqual((await run('bob', 'close')).result, 'closed', 'Commands no rule matches should be left to the plugin');
+    await assert.rejects(run('mallory', 'getBalance'), /not allowed/, 'The plugin allow should still deny under deny-overrides');
+    await assert.rejects(run('hasOwnProperty', 'getSecrets'), /not allowed/, 'User names should not clash with object properties');
+    assert.deepStrictEqual((await manager.explainAccess({ forWhom: 'constructor', pluginName: 'accounts', name: 'getBalance' })).policy.roles, []);
+    
+    let explanation = await manager.explainAccess({ forWhom: 'alice', pluginName: 'accounts', name: 'getSecrets' });
+    assert.strictEqual(explanation.allowed, false);
+    assert.strictEqual(explanation.strategy, 'deny-overrides');
+    assert.deepStrictEqual(explanation.policy.roles, ['reader']);
+    assert.deepStrictEqual(explanation.policy.matches, [
+        { role: 'reader', effect: 'deny', pattern: 'accounts.getSecrets' },
+        { role: 'reader', effect: 'allow', pattern: 'accounts.get*' }
+    ]);
+    assert.strictEqual(explanation.plugin.called, false);
+    assert(explanation.reason.includes('accounts.getSecrets'), explanation.reason);
+    explanation = await manager.explainAccess({ forWhom: 'mallory', pluginName: 'accounts', name: 'getBalance' });
+    assert.deepStrictEqual(explanation.plugin, { called: true, allowed: false });
+    await assert.rejects(manager.explainAccess({ forWhom: 'alice', pluginName: 'missing', name: 'x' }), error => error.statusCode === 404);
+    
+    const waitFor = async (condition) => {
+        for (let attempt = 0; attempt < 60 && !(await condition()); attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+    }
+    const isAllowed = async (forWhom, name) => (await manager.explainAccess({ forWhom, pluginName: 'accounts', name })).allowed;
+    
+    fs.writeFileSync(policyFile, `
+strategy: policy-only
+roles:
+  operator:
+    allow: ["accounts.get*"]
+users:
+  "*": [operator]
+`);
+    await waitFor(async () => !(await isAllowed('bob', 'close')));
+    await assert.rejects(run('bob', 'close'), /not allowed/, 'The policy should reload and deny what no rule allows');
+    assert.strictEqual((await run('mallory', 'getSecrets')).result, 'secret', 'The plugin allow should not be called under policy-only');
+    
+    fs.writeFileSync(policyFile, 'strategy: no-such-strategy\n');
+    await new Promise(resolve => setTimeout(resolve, 300));
+    explanation = await manager.explainAccess({ forWhom: 'carol', pluginName: 'accounts', name: 'close' });
+    assert.strictEqual(explanation.strategy, 'policy-only', 'An invalid policy file should keep the previous policy');
+    assert.strictEqual(explanation.allowed, false);
+    
+    fs.rmSync(policyFile);
+    await waitFor(async () => (await manager.explainAccess({ forWhom: 'bob', pluginName: 'accounts', name: 'close' })).plugin.called);
+    assert.strictEqual(await isAllowed('bob', 'close'), true, 'Removing the policy file should leave the plugin allow alone');
+    
+    manager.unwatch();
+    fs.writeFileSync(policyFile, 'roles:\n  nobody:\n    deny: ["*"]\nusers:\n  "*": [nobody]\n');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.strictEqual(await isAllowed('bob', 'close'), true, 'The policy file should not be reloaded once unwatched');
+    
+    console.log('✓ Access policy test passed');
+}
+
+/**
+ * Test the status codes and codes of the error classes and the stack traces of development mode
+ */
+async function testErrorTaxonomy() {
+    console.log('Testing error taxonomy...');
+    
+    const errorsDir = path.join(testDir, 'errors-plugins');
+    const errorsPluginsDir = path.join(errorsDir, 'plugins');
+    fs.mkdirSync(errorsPluginsDir, { recursive: true });
+    fs.writeFileSync(path.join(errorsPluginsDir, 'shop.js'), `
+        module.exports = {
+            getInstance: () => ({
+                buy: async (item) => {
+                    if (item === 'sold-out') {
+                        throw new $$.errors.ConflictError('Item is sold out', { code: 'SOLD_OUT' });
+                    }
+                    throw new Error('database connection lost');
+                }
+            }),
+            getAllow: () => (forWhom) => forWhom !== 'intruder'
+        };
+    `);
+    
+    const expected = [
+        [errors.ValidationError, 400, 'VALIDATION_FAILED'],
+        [errors.ForbiddenError, 403, 'FORBIDDEN'],
+        [errors.NotFoundError, 404, 'NOT_FOUND'],
+        [errors.ConflictError, 409, 'CONFLICT'],
+        [errors.UnavailableError, 503, 'UNAVAILABLE']
+    ];
+    expected.forEach(([ErrorClass, statusCode, code]) => {
+        const error = new ErrorClass('failure');
+        assert(error instanceof errors.ServerlessError && error instanceof Error);
+        assert.strictEqual(error.statusCode, statusCode);
+        assert.strictEqual(error.code, code);
+        assert.strictEqual(error.name, ErrorClass.name);
+        assert.strictEqual(new ErrorClass('failure', { code: 'CUSTOM', statusCode: 200 }).statusCode, statusCode, 'The status code of a class should not be overridden');
+    });
+    assert.strictEqual(errors.getStatusCode(new Error('plain')), 500);
+    assert.deepStrictEqual(errors.toErrorResult(new Error('plain')).code, 'INTERNAL_ERROR');
+    assert.strictEqual(errors.toErrorResult(new Error('plain')).stack, undefined);
+    assert(errors.toErrorResult(new Error('plain'), true).stack.includes('plain'));
+    
+    const manager = new PluginManager(errorsDir, { developmentMode: true });
+    await manager.init();
+    const failure = async (command) => {
+        try {
+            await manager.executeCommand(command);
+        } catch (error) {
+            return { statusCode: errors.getStatusCode(error), code: errors.toErrorResult(error).code };
+        }
+        assert.fail(`${command.pluginName}.${command.name} should have failed`);
+    }
+    
+    assert.deepStrictEqual(await failure({ pluginName: 'shop', name: 'buy', args: 'sold-out' }), { statusCode: 400, code: 'INVALID_COMMAND' });
+    assert.deepStrictEqual(await failure({ pluginName: 'nowhere', name: 'buy', args: [] }), { statusCode: 404, code: 'PLUGIN_NOT_FOUND' });
+    assert.deepStrictEqual(await failure({ pluginName: 'shop', name: 'sell', args: [] }), { statusCode: 404, code: 'METHOD_NOT_FOUND' });
+    assert.deepStrictEqual(await failure({ forWhom: 'intruder', pluginName: 'shop', name: 'buy', args: [] }), { statusCode: 403, code: 'FORBIDDEN' });
+    assert.deepStrictEqual(await failure({ pluginName: 'shop', name: 'buy', args: ['sold-out'] }), { statusCode: 409, code: 'SOLD_OUT' });
+    assert.deepStrictEqual(await failure({ pluginName: 'shop', name: 'buy', args: ['book'] }), { statusCode: 500, code: 'INTERNAL_ERROR' });
+    assert.throws(() => manager.getPublicMethods('nowhere'), error => error instanceof errors.NotFoundError && error.code === 'PLUGIN_NOT_FOUND');
+    
+    const [envelope] = await manager.executeBatch([{ pluginName: 'shop', name: 'buy', args: ['book'] }]);
+    assert(envelope.result.stack.includes('database connection lost'), 'Development mode should keep stack traces');
+    
+    console.log('✓ Error taxonomy test passed');
+}
+
+/**
+ * Test that commands sent with the same idempotency key run once
+ */
+async function testIdempotencyKeys() {
+    console.log('Testing idempotency keys...');
+    
+    const idempotencyDir = path.join(testDir, 'idempotency-plugins');
+    const idempotencyPluginsDir = path.join(idempotencyDir, 'plugins');
+    fs.mkdirSync(idempotencyPluginsDir, { recursive: true });
+    fs.writeFileSync(path.join(idempotencyPluginsDir, 'payments.js'), `
+        let charges = 0;
+        let attempts = 0;
+        module.exports = {
+            getInstance: () => ({
+                charge: async (amount) => {
+                    await new Promise(resolve => setTimeout(resolve, 50));
+                    charges++;
+                    return { charge: charges, amount };
+                },
+                flaky: async () => {
+                    attempts++;
+                    if (attempts === 1) {
+                        throw new Error('network blip');
+                    }
+                    return attempts;
+                },
+                getCharges: async () => charges
+            }),
+            getAllow: () => () => true
+        };
+    `);
+    
+    const manager = new PluginManager(idempotencyDir, { idempotency: { persist: true } });
+    await manager.init();
+    const charge = (forWhom, idempotencyKey, amount = 10) => {
+        return manager.executeCommand({ forWhom, pluginName: 'payments', name: 'charge', args: [amount], options: { idempotencyKey } });
+    }
+    
+    const concurrent = await Promise.all([charge('alice', 'key-1'), charge('alice', 'key-1'), charge('alice', 'key-1')]);
+    concurrent.forEach(ret => assert.deepStrictEqual(ret.result, { charge: 1, amount: 10 }, 'Concurrent duplicates should share the first execution'));
+    assert.deepStrictEqual((await charge('alice', 'key-1')).result, { charge: 1, amount: 10 }, 'A retry should get the original result');
+    assert.deepStrictEqual((await charge('bob', 'key-1')).result, { charge: 2, amount: 10 }, 'Keys should be scoped to the caller');
+    await assert.rejects(charge('alice', 'key-1', 20), error => error.statusCode === 409 && error.code === 'IDEMPOTENCY_KEY_REUSED' && !error.message.includes('alice'));
+    await assert.rejects(charge('alice', ''), error => error.statusCode === 400);
+    
+    const flaky = () => manager.executeCommand({ pluginName: 'payments', name: 'flaky', args: [], options: { idempotencyKey: 'flaky-1' } });
+    await assert.rejects(flaky(), /network blip/);
+    assert.strictEqual((await flaky()).result, 2, 'Failed commands should not be stored');
+    assert.strictEqual((await flaky()).result, 2);
+    
+    const stored = path.join(idempotencyDir, 'idempotency', 'keys.json');
+    for (let attempt = 0; attempt < 20 && !fs.existsSync(stored); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    const restarted = new PluginManager(idempotencyDir, { idempotency: { persist: true } });
+    await restarted.init();
+    const ret = await restarted.executeCommand({ forWhom: 'alice', pluginName: 'payments', name: 'charge', args: [10], options: { idempotencyKey: 'key-1' } });
+    assert.deepStrictEqual(ret.result, { charge: 1, amount: 10 }, 'Stored keys should survive a restart');
+    assert.strictEqual((await restarted.executeCommand({ pluginName: 'payments', name: 'getCharges', args: [] })).result, 2);
+    
+    const expiring = new PluginManager(idempotencyDir, { idempotency: { ttl: 1 } });
+    await expiring.init();
+    await charge('carol', 'key-2');
+    await expiring.executeCommand({ forWhom: 'carol', pluginName: 'payments', name: 'charge', args: [10], options: { idempotencyKey: 'key-2' } });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const expired = await expiring.executeCommand({ forWhom: 'carol', pluginName: 'payments', name: 'charge', args: [10], options: { idempotencyKey: 'key-2' } });
+    assert.strictEqual(expired.result.charge, 5, 'Expired keys should run the command again');
+    
+    const bounded = new PluginManager(idempotencyDir, { idempotency: { maxEntries: 1 } });
+    await bounded.init();
+    const boundedCharge = (idempotencyKey) => bounded.executeCommand({ forWhom: 'dave', pluginName: 'payments', name: 'charge', args: [10], options: { idempotencyKey } });
+    assert.strictEqual((await boundedCharge('key-3')).result.charge, 6);
+    assert.strictEqual((await boundedCharge('key-3')).result.charge, 6);
+    assert.strictEqual((await boundedCharge('key-4')).result.charge, 7);
+    assert.strictEqual((await boundedCharge('key-3')).result.charge, 8, 'The oldest keys should be dropped past maxEntries');
+    
+    console.log('✓ Idempotency keys test passed');
+}
+
+/**
+ * Test the result cache of cacheable methods and its invalidation through $$
+ */
+async function testResultCaching() {
+    console.log('Testing result caching...');
+    
+    const cacheDir = path.join(testDir, 'cache-plugins');
+    const cachePluginsDir = path.join(cacheDir, 'plugins');
+    fs.mkdirSync(cachePluginsDir, { recursive: true });
+    fs.writeFileSync(path.join(cachePluginsDir, 'catalog.js'), `
+        const prices = { book: 10, pen: 2 };
+        let lookups = 0;
+        module.exports = {
+            getInstance: () => ({
+                getPrice: async (item, requestId) => {
+                    lookups++;
+                    return { item, price: prices[item] };
+                },
+                getMyPrice: async (item) => {
+                    lookups++;
+                    return { item, price: prices[item], for: $$.getCommandContext().forWhom };
+                },
+                setPrice: async (item, price) => {
+                    prices[item] = price;
+                    $$.invalidateCache({ tag: 'item:' + item });
+                },
+                clearPrices: async () => $$.invalidateCache({ name: 'getPrice' }),
+                getLookups: async () => lookups
+            }),
+            getAllow: () => (forWhom) => forWhom !== 'intruder',
+            getCacheable: () => ({
+                getPrice: { ttl: 60000, key: (args) => args[0], perCaller: false, tags: (args) => ['item:' + args[0]] },
+                getMyPrice: { ttl: 60000 }
+            })
+        };
+    `);
+    
+    const manager = new PluginManager(cacheDir, { cache: { maxEntries: 10 } });
+    await manager.init();
+    const run = (name, args, forWhom = 'alice') => manager.executeCommand({ forWhom, pluginName: 'catalog', name, args });
+    const lookups = async () => (await run('getLookups', [])).result;
+    
+    assert.deepStrictEqual((await run('getPrice', ['book', 1])).result, { item: 'book', price: 10 });
+    const cached = await run('getPrice', ['book', 2]);
+    assert.deepStrictEqual(cached.result, { item: 'book', price: 10 });
+    assert.strictEqual(await lookups(), 1, 'The key function should let different request ids share an entry');
+    cached.result.price = 0;
+    assert.strictEqual((await run('getPrice', ['book'])).result.price, 10, 'Callers should not change the cached value');
+    
+    await assert.rejects(run('getPrice', ['book'], 'intruder'), /not allowed/, 'The allow check should run before the cache');
+    
+    await run('setPrice', ['book', 12]);
+    assert.strictEqual((await run('getPrice', ['book'])).result.price, 12, 'Invalidating a tag should drop the entry');
+    await run('getPrice', ['pen']);
+    assert.strictEqual(await lookups(), 3);
+    await run('clearPrices', []);
+    await run('getPrice', ['pen']);
+    assert.strictEqual(await lookups(), 4, 'Invalidating a method of the current plugin should drop its entries');
+    
+    assert.strictEqual((await run('getMyPrice', ['pen'], 'alice')).result.for, 'alice');
+    assert.strictEqual((await run('getMyPrice', ['pen'], 'bob')).result.for, 'bob', 'Entries should be kept per caller by default');
+    assert.strictEqual((await run('getMyPrice', ['pen'], 'alice')).result.for, 'alice');
+    assert.strictEqual(await lookups(), 6);
+    
+    assert(Metrics.getInstance().render().includes('serverless_cache_lookups_total{plugin="catalog",method="getPrice",result="hit"}'));
+    assert(manager.invalidateCache({ pluginName: 'catalog' }) > 0);
+    
+    await run('getPrice', ['book'], 'bob');
+    assert.strictEqual(await lookups(), 7);
+    await run('getPrice', ['book'], 'carol');
+    assert.strictEqual(await lookups(), 7, 'perCaller: false should share entries between callers');
+    await manager.shutdown();
+    assert.strictEqual($$.invalidateCache({ pluginName: 'catalog' }), 0, 'A shut down manager should release its cache');
+    
+    console.log('✓ Result caching test passed');
+}
+
+/**
+ * Test that the environment of an in place update survives a restart of the process
+ */
+async function testProcessEnvUpdate() {
+    console.log('Testing process environment updates...');
+    
+    const processDir = path.join(testDir, 'processes');
+    fs.mkdirSync(processDir, { recursive: true });
+    // Stands in for index.js: reports its environment as its URL and acknowledges updates
+    const scriptPath = path.join(processDir, 'child.js');
+    fs.writeFileSync(scriptPath, `
+        process.on('message', (message) => {
+            if (message.type === 'start') {
+                process.send({ type: 'ready', url: process.env.GREETING, port: 0 });
+            } else if (message.type === 'updateEnv') {
+                Object.assign(process.env, message.envVars);
+                process.send({ type: 'updateEnvCompleted', requestId: message.requestId });
+            } else if (message.type === 'shutdown') {
+                process.exit(0);
+            }
+        });
+    `);
+    
+    const ProcessManager = require('../ProcessManager');
+    const processManager = new ProcessManager();
+    try {
+        await processManager.forkProcess(scriptPath, { id: 'envProcess', env: { GREETING: 'hello', TARGET: 'world' } }, { GREETING: 'hello', TARGET: 'world' });
+        const updated = await processManager.updateProcessEnv('envProcess', { GREETING: 'bonjour' });
+        assert.deepStrictEqual(updated.config.env, { GREETING: 'bonjour', TARGET: 'world' }, 'The update should be merged into the process config');
+        
+        const restarted = await processManager.restartProcess('envProcess');
+        assert.strictEqual(restarted.url, 'bonjour', 'A restart should keep the updated environment');
+    } finally {
+        for (const [, processInfo] of processManager.processes) {
+            processInfo.process.kill();
+        }
+    }
+    
+    console.log('✓ Process environment update test passed');
+}
+
 /**
  * Test circular dependency detection
  */